@@ -1,17 +1,25 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, collection, getDocs, getDoc } from 'firebase/firestore';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { jsPDF } from 'jspdf';
+import { createStorage, setStorageBackend, STORAGE_BACKENDS } from './storage';
+import { ACTIVE_INGREDIENTS, INTERACTION_RULES, INTERACTION_SEVERITIES } from './data/interactions';
 
 // Define Firebase configuration and app ID from global variables
 // These variables are provided by the Canvas environment.
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+// Point Auth and Firestore at the local emulators when the page is started for testing
+const useEmulators = typeof __use_firebase_emulators !== 'undefined' && __use_firebase_emulators;
 
-// Initialize Firebase app
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
+// Every read and write goes through the storage layer: Firestore, or this device only
+const storage = createStorage({ firebaseConfig, useEmulators });
+
+// Caregiver roles, from most to least privileged. Enforced again in firestore.rules.
+const ROLES = {
+  admin: { label: 'Administrador', description: 'Edita el tratamiento y los permisos' },
+  caregiver: { label: 'Cuidador', description: 'Marca dosis y registra notas, presión y síntomas' },
+  viewer: { label: 'Solo lectura', description: 'Puede ver todo sin modificar nada' },
+};
+const EMAIL_FOR_SIGN_IN_KEY = 'medication_calendar_email_for_sign_in';
 
 // Initial medication data (will be used to populate Firestore if empty)
 const defaultMedications = [
@@ -34,178 +42,4083 @@ const defaultMedications = [
   { id: 'naproxeno', name: 'Naproxeno', dosage: '', time: 'Según necesidad', frequency: 'En caso de dolor de cabeza' },
 ];
 
-// Helper function to format date for Firestore document IDs (YYYY-MM-DD)
-const formatDateForFirestore = (date) => {
-  const d = new Date(date);
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// Helper function to format date for Firestore document IDs (YYYY-MM-DD)
+const formatDateForFirestore = (date) => {
+  const d = new Date(date);
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Helper function to parse a Firestore date ID (YYYY-MM-DD) into a local Date
+const parseFirestoreDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Helper function to count whole calendar days between two dates (ignores DST shifts)
+const daysBetween = (from, to) => {
+  const fromUtc = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+  const toUtc = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((toUtc - fromUtc) / 86400000);
+};
+
+// Helper function to get the nth weekday of a given month/year (nth = -1 means the last one)
+const getNthWeekdayOfMonth = (year, month, weekday, nth) => {
+  if (nth === -1) {
+    const lastWeekday = new Date(year, month + 1, 0); // Last day of the current month
+    // Iterate backwards from the last day to find the last matching weekday
+    while (lastWeekday.getDay() !== weekday) {
+      lastWeekday.setDate(lastWeekday.getDate() - 1);
+    }
+    return lastWeekday;
+  }
+  const firstOfMonth = new Date(year, month, 1);
+  const offset = (weekday - firstOfMonth.getDay() + 7) % 7;
+  const nthWeekday = new Date(year, month, 1 + offset + (nth - 1) * 7);
+  return nthWeekday.getMonth() === month ? nthWeekday : null;
+};
+
+// Recurrence rules understood by the frequency picker and the daily filter
+const WEEKDAY_NAMES = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
+const RECURRENCE_TYPES = [
+  { value: 'daily', label: 'Diario' },
+  { value: 'weekdays', label: 'Días de la semana' },
+  { value: 'interval', label: 'Cada N días' },
+  { value: 'monthlyWeekday', label: 'Un día de la semana del mes' },
+  { value: 'monthDay', label: 'Un día fijo del mes' },
+  { value: 'asNeeded', label: 'Según necesidad' },
+];
+const ORDINALS = [
+  { value: 1, label: 'Primer' },
+  { value: 2, label: 'Segundo' },
+  { value: 3, label: 'Tercer' },
+  { value: 4, label: 'Cuarto' },
+  { value: -1, label: 'Último' },
+];
+const DEFAULT_RECURRENCE = {
+  type: 'daily',
+  weekdays: [],
+  interval: 2,
+  nth: 1,
+  weekday: 1,
+  dayOfMonth: 1,
+  startDate: '',
+  endDate: '',
+  condition: '',
+};
+
+// Helper function to lowercase and strip accents so free text can be matched
+const normalizeText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// Convert a legacy free-text `frequency` string into a structured recurrence rule
+const migrateFrequency = (frequency = '', time = '') => {
+  const text = normalizeText(frequency);
+  if (text.startsWith('en caso de') || text.includes('segun necesidad') || time === 'Según necesidad') {
+    return { ...DEFAULT_RECURRENCE, type: 'asNeeded', condition: frequency };
+  }
+
+  const weekdays = WEEKDAY_NAMES
+    .map((name, index) => (text.includes(normalizeText(name)) ? index : -1))
+    .filter(index => index !== -1);
+  const ordinalMatch = text.match(/\b(primer|primero|segundo|tercer|tercero|cuarto|ultimo)\b/);
+  if (ordinalMatch && weekdays.length === 1 && text.includes('mes')) {
+    const nthByWord = { primer: 1, primero: 1, segundo: 2, tercer: 3, tercero: 3, cuarto: 4, ultimo: -1 };
+    return { ...DEFAULT_RECURRENCE, type: 'monthlyWeekday', nth: nthByWord[ordinalMatch[1]], weekday: weekdays[0] };
+  }
+  if (weekdays.length > 0) {
+    return { ...DEFAULT_RECURRENCE, type: 'weekdays', weekdays };
+  }
+
+  const intervalMatch = text.match(/cada (\d+) dias/);
+  if (intervalMatch) {
+    return {
+      ...DEFAULT_RECURRENCE,
+      type: 'interval',
+      interval: Number(intervalMatch[1]),
+      startDate: formatDateForFirestore(new Date()),
+    };
+  }
+  const dayOfMonthMatch = text.match(/dia (\d+)/);
+  if (dayOfMonthMatch && text.includes('mes')) {
+    return { ...DEFAULT_RECURRENCE, type: 'monthDay', dayOfMonth: Number(dayOfMonthMatch[1]) };
+  }
+
+  // 'Diario' and anything we cannot interpret default to every day
+  return { ...DEFAULT_RECURRENCE };
+};
+
+// Structured dose of a medication: strength per unit (pill, drop...), how many units make one dose,
+// route and free-text instructions. Quantities may be fractions, e.g. 0.5 for half a pill.
+const DOSE_UNITS = ['mg', 'mcg', 'g', 'ml', 'UI', 'gotas'];
+const DOSE_ROUTES = [
+  { value: '', label: 'Sin especificar' },
+  { value: 'oral', label: 'Oral' },
+  { value: 'sublingual', label: 'Sublingual' },
+  { value: 'inyectable', label: 'Inyectable' },
+  { value: 'inhalada', label: 'Inhalada' },
+  { value: 'topica', label: 'Tópica' },
+  { value: 'oftalmica', label: 'Oftálmica' },
+  { value: 'rectal', label: 'Rectal' },
+];
+const DOSE_QUANTITIES = [0.25, 0.5, 0.75, 1, 1.5, 2, 2.5, 3, 4];
+const DEFAULT_DOSE = { strength: null, unit: 'mg', quantity: 1, route: '', instructions: '' };
+// Milligrams in one unit of strength, for adding up daily totals
+const MG_PER_UNIT = { mg: 1, mcg: 0.001, g: 1000 };
+
+// Convert a legacy free-text `dosage` (e.g. '1/2 5mg', '3 veces x semana sublingual') and the old
+// `unitsPerDose` override into a structured dose. Text that is neither amount nor route becomes the instructions.
+const migrateDosage = (dosage = '', unitsPerDose = null) => {
+  let rest = dosage;
+  let quantity = 1;
+  let strength = null;
+  let unit = DEFAULT_DOSE.unit;
+  const fractionMatch = rest.match(/^\s*(\d+)\s*\/\s*(\d+)/);
+  const countMatch = rest.match(/^\s*(\d+(?:[.,]\d+)?)\s*(comprimidos?|pastillas?|c[aá]psulas?|gotas?)/i);
+  if (fractionMatch) {
+    quantity = Number(fractionMatch[1]) / Number(fractionMatch[2]);
+    rest = rest.replace(fractionMatch[0], '');
+  } else if (countMatch && normalizeText(countMatch[2]).startsWith('gota')) {
+    // Drops are measured like a strength: '20 gotas' is one dose of 20 drops
+    strength = Number(countMatch[1].replace(',', '.'));
+    unit = 'gotas';
+    rest = rest.replace(countMatch[0], '');
+  } else if (countMatch) {
+    quantity = Number(countMatch[1].replace(',', '.'));
+    rest = rest.replace(countMatch[0], '');
+  }
+
+  const strengthMatch = rest.match(/(\d+(?:[.,]\d+)?)\s*(mg|mcg|µg|g|ml|ui)\b/i);
+  if (strengthMatch && strength === null) {
+    strength = Number(strengthMatch[1].replace(',', '.'));
+    const unitText = strengthMatch[2].toLowerCase();
+    unit = unitText === 'µg' ? 'mcg' : DOSE_UNITS.find(candidate => candidate.toLowerCase() === unitText);
+    rest = rest.replace(strengthMatch[0], '');
+  }
+
+  const route = DOSE_ROUTES.find(candidate => candidate.value && normalizeText(rest).includes(candidate.value));
+  if (route) rest = rest.replace(new RegExp(route.value, 'i'), '');
+
+  return {
+    strength,
+    unit,
+    quantity: unitsPerDose || quantity,
+    route: route ? route.value : '',
+    instructions: rest.replace(/\s+/g, ' ').trim().replace(/^de\b\s*/i, ''),
+  };
+};
+
+// Helper function to write a dose quantity the way it is said, e.g. 0.5 as '1/2' and 1.5 as '1 1/2'
+const formatQuantity = (quantity) => {
+  const fractions = { 0.25: '1/4', 0.5: '1/2', 0.75: '3/4' };
+  const whole = Math.floor(quantity);
+  const fraction = fractions[Number((quantity - whole).toFixed(2))];
+  if (fraction) return whole > 0 ? `${whole} ${fraction}` : fraction;
+  return quantity.toLocaleString('es-AR', { maximumFractionDigits: 2 });
+};
+
+// Helper function to describe a medication's dose in one line, e.g. '1/2 de 5 mg, sublingual'
+const describeDose = (med) => {
+  const dose = { ...DEFAULT_DOSE, ...med.dose };
+  const route = DOSE_ROUTES.find(candidate => candidate.value === dose.route);
+  let amount = '';
+  if (dose.strength) {
+    const strength = `${dose.strength.toLocaleString('es-AR')} ${dose.unit}`;
+    amount = dose.quantity === 1 ? strength : `${formatQuantity(dose.quantity)} de ${strength}`;
+  } else if (dose.quantity !== 1) {
+    amount = `${formatQuantity(dose.quantity)} ${dose.quantity > 1 ? 'unidades' : 'unidad'}`;
+  }
+  return [amount, dose.route && route ? route.label.toLowerCase() : '', dose.instructions].filter(Boolean).join(', ');
+};
+
+// Default clock times for a slot whose name already states an hour (e.g. 'Antes de Comer 13hs')
+const getSlotDefaultTimes = (slot = '') => {
+  const hourMatch = slot.match(/(\d{1,2})\s*hs/);
+  return hourMatch ? [`${hourMatch[1].padStart(2, '0')}:00`] : [];
+};
+
+// Time slots of the day that medications are grouped in. A medication's `time` holds the slot name;
+// each patient can rename, reorder and recolour the slots, and add new ones.
+const SLOT_COLORS = {
+  indigo: { label: 'Índigo', border: 'border-indigo-300 dark:border-indigo-700', ring: 'ring-indigo-400', dot: 'bg-indigo-400' },
+  amber: { label: 'Ámbar', border: 'border-amber-300 dark:border-amber-700', ring: 'ring-amber-400', dot: 'bg-amber-400' },
+  sky: { label: 'Celeste', border: 'border-sky-300 dark:border-sky-700', ring: 'ring-sky-400', dot: 'bg-sky-400' },
+  green: { label: 'Verde', border: 'border-green-300 dark:border-green-700', ring: 'ring-green-400', dot: 'bg-green-400' },
+  orange: { label: 'Naranja', border: 'border-orange-300 dark:border-orange-700', ring: 'ring-orange-400', dot: 'bg-orange-400' },
+  purple: { label: 'Violeta', border: 'border-purple-300 dark:border-purple-700', ring: 'ring-purple-400', dot: 'bg-purple-400' },
+  rose: { label: 'Rosa', border: 'border-rose-300 dark:border-rose-700', ring: 'ring-rose-400', dot: 'bg-rose-400' },
+  gray: { label: 'Gris', border: 'border-gray-300 dark:border-gray-600', ring: 'ring-gray-400', dot: 'bg-gray-400' },
+};
+const DEFAULT_TIME_SLOTS = [
+  { id: 'ayunas', name: 'Ayunas', time: '07:00', color: 'amber' },
+  { id: 'manana', name: 'Mañana Post desayuno', time: '09:00', color: 'sky' },
+  { id: 'almuerzo', name: 'Antes de Comer 13hs', time: '13:00', color: 'green' },
+  { id: 'tarde', name: 'Tarde 18hs', time: '18:00', color: 'orange' },
+  { id: 'noche', name: 'Noche', time: '21:00', color: 'indigo' },
+  { id: 'mensual', name: 'Mensual', time: '', color: 'purple' },
+  { id: 'segun-necesidad', name: 'Según necesidad', time: '', color: 'gray' },
+].map((slot, index) => ({ ...slot, order: index, previousNames: [] }));
+// How long after its clock time a slot still counts as the current one
+const SLOT_CURRENT_WINDOW_MINUTES = 60;
+
+// Helper function to read the stored slots in their order, or the default ones if the patient has none
+const readTimeSlots = (data) => (data && Array.isArray(data.slots)
+  ? [...data.slots].sort((a, b) => a.order - b.order).map(slot => ({ previousNames: [], ...slot }))
+  : DEFAULT_TIME_SLOTS);
+
+// Slot a medication's `time` refers to, also by a name the slot had before it was renamed
+const findTimeSlot = (slots, name) => slots.find(slot => slot.name === name || slot.previousNames.includes(name));
+
+// Order slot names like their slots; names that match no slot (e.g. 'Otro') go last, alphabetically
+const sortSlotNames = (names, slots) => [...names].sort((a, b) => {
+  const slotA = findTimeSlot(slots, a);
+  const slotB = findTimeSlot(slots, b);
+  if (slotA && slotB) return slotA.order - slotB.order;
+  if (slotA || slotB) return slotA ? -1 : 1;
+  return a.localeCompare(b, 'es');
+});
+
+// The slot to highlight: the one whose clock time came up within the last hour, or else the next one today
+const getNowSlot = (slots, now) => {
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const timed = slots.filter(slot => slot.time).sort((a, b) => a.time.localeCompare(b.time));
+  const current = [...timed].reverse().find(slot => {
+    const minutesSince = nowMinutes - parseTimeOfDay(slot.time);
+    return minutesSince >= 0 && minutesSince < SLOT_CURRENT_WINDOW_MINUTES;
+  });
+  if (current) return { slot: current, status: 'current' };
+  const next = timed.find(slot => parseTimeOfDay(slot.time) > nowMinutes);
+  return next ? { slot: next, status: 'next' } : null;
+};
+
+// Helper function to tell whether two legacy definitions are the same product: same name, strength and unit
+const isSameStockProduct = (a, b) => {
+  if (!a.name || !b.name || normalizeText(a.name) !== normalizeText(b.name)) return false;
+  const doseA = a.dose || migrateDosage(a.dosage || '', a.unitsPerDose);
+  const doseB = b.dose || migrateDosage(b.dosage || '', b.unitsPerDose);
+  return doseA.strength === doseB.strength && doseA.unit === doseB.unit;
+};
+
+// Make sure every medication definition carries a structured recurrence rule, dose and dose times
+const migrateMedicationDefinitions = (medications) => medications.map(med => {
+  let migrated = med;
+  if (!migrated.recurrence) {
+    const { frequency, ...rest } = migrated;
+    migrated = { ...rest, recurrence: migrateFrequency(frequency, med.time) };
+  }
+  if (!migrated.dose) {
+    const { dosage, unitsPerDose, ...rest } = migrated;
+    migrated = { ...rest, dose: migrateDosage(dosage, unitsPerDose) };
+  }
+  if (!migrated.times) {
+    migrated = { ...migrated, times: getSlotDefaultTimes(med.time) };
+  }
+  if (!migrated.stockItemId) {
+    // The same product in several slots draws from one box. A different strength (Hidrotisona 10mg and
+    // 5mg) is another box; the user can still link definitions by hand in the medication form.
+    const sameProduct = medications.find(other => isSameStockProduct(other, med)) || med;
+    migrated = { ...migrated, stockItemId: sameProduct.stockItemId || sameProduct.id };
+  }
+  return migrated;
+});
+
+// Check whether a medication has to be taken on a given date according to its recurrence
+const isMedicationScheduledOn = (med, date) => {
+  const recurrence = med.recurrence || migrateFrequency(med.frequency, med.time);
+  const dateKey = formatDateForFirestore(date);
+  if (recurrence.startDate && dateKey < recurrence.startDate) return false;
+  if (recurrence.endDate && dateKey > recurrence.endDate) return false;
+
+  switch (recurrence.type) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return recurrence.weekdays.includes(date.getDay());
+    case 'interval': {
+      const anchor = parseFirestoreDate(recurrence.startDate || dateKey);
+      return daysBetween(anchor, date) % Math.max(1, recurrence.interval) === 0;
+    }
+    case 'monthlyWeekday': {
+      const target = getNthWeekdayOfMonth(date.getFullYear(), date.getMonth(), recurrence.weekday, recurrence.nth);
+      return !!target && target.toDateString() === date.toDateString();
+    }
+    case 'monthDay': {
+      // Days past the end of a short month (e.g. 31 in April) fall on its last day
+      const lastDayOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      return date.getDate() === Math.min(recurrence.dayOfMonth, lastDayOfMonth);
+    }
+    case 'asNeeded': // These are special notes, not daily meds
+      return false;
+    default:
+      return false;
+  }
+};
+
+// Validate a recurrence rule before saving; returns an error message or null
+const validateRecurrence = (recurrence) => {
+  if (recurrence.type === 'weekdays' && recurrence.weekdays.length === 0) {
+    return "Selecciona al menos un día de la semana.";
+  }
+  if (recurrence.type === 'interval' && (!(recurrence.interval >= 1) || !recurrence.startDate)) {
+    return "Para 'Cada N días' indica un intervalo de al menos 1 día y una fecha de inicio.";
+  }
+  if (recurrence.type === 'monthDay' && !(recurrence.dayOfMonth >= 1 && recurrence.dayOfMonth <= 31)) {
+    return "El día del mes debe estar entre 1 y 31.";
+  }
+  if (recurrence.startDate && recurrence.endDate && recurrence.endDate < recurrence.startDate) {
+    return "La fecha de fin no puede ser anterior a la fecha de inicio.";
+  }
+  return null;
+};
+
+// Human-readable description of a recurrence rule (e.g. "Martes, Jueves y Sábado")
+const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+  const joinNames = (names) => (names.length > 1 ? `${names.slice(0, -1).join(', ')} y ${names[names.length - 1]}` : names[0] || '');
+  let description;
+  switch (recurrence.type) {
+    case 'weekdays':
+      description = joinNames([...recurrence.weekdays].sort().map(day => WEEKDAY_NAMES[day]));
+      break;
+    case 'interval':
+      description = recurrence.interval === 1 ? 'Diario' : `Cada ${recurrence.interval} días`;
+      break;
+    case 'monthlyWeekday': {
+      const ordinal = ORDINALS.find(o => o.value === recurrence.nth);
+      description = `${ordinal ? ordinal.label : ''} ${WEEKDAY_NAMES[recurrence.weekday].toLowerCase()} del mes`;
+      break;
+    }
+    case 'monthDay':
+      description = `Día ${recurrence.dayOfMonth} de cada mes`;
+      break;
+    case 'asNeeded':
+      description = recurrence.condition ? `Según necesidad (${recurrence.condition})` : 'Según necesidad';
+      break;
+    default:
+      description = 'Diario';
+  }
+  const formatBound = (dateString) => parseFirestoreDate(dateString).toLocaleDateString('es-AR');
+  if (recurrence.startDate && recurrence.type !== 'interval') description += `, desde ${formatBound(recurrence.startDate)}`;
+  if (recurrence.startDate && recurrence.type === 'interval') description += ` a partir del ${formatBound(recurrence.startDate)}`;
+  if (recurrence.endDate) description += ` hasta ${formatBound(recurrence.endDate)}`;
+  return description;
+};
+
+// Empty form state for the add/edit medication modal
+const createEmptyMedication = () => ({
+  id: '', name: '', time: '', times: [], ingredients: [], stockItemId: '', dose: { ...DEFAULT_DOSE, route: 'oral' }, recurrence: { ...DEFAULT_RECURRENCE },
+});
+
+// Effective date of the regimen version seeded from the legacy single definitions document,
+// early enough that every existing daily record renders against it
+const INITIAL_REGIMEN_DATE = '2000-01-01';
+
+// Order regimen versions by effective date, then by when they were saved
+const sortRegimenVersions = (versions) => [...versions].sort((a, b) => (
+  a.effectiveFrom.localeCompare(b.effectiveFrom) || a.changedAt.localeCompare(b.changedAt)
+));
+
+// Helper function to read the stored regimen versions of a patient, oldest first
+const readRegimenVersions = (docs) => sortRegimenVersions(
+  docs.map(({ id, data }) => ({ ...data, id, medications: migrateMedicationDefinitions(data.medications) }))
+);
+
+// Medications of the regimen version in force on a given date (versions must be sorted)
+const getRegimenForDate = (versions, date) => {
+  const dateKey = formatDateForFirestore(date);
+  const inForce = versions.filter(version => version.effectiveFrom <= dateKey);
+  return inForce.length > 0 ? inForce[inForce.length - 1].medications : [];
+};
+
+// Describe what changed between two regimens, one entry per added, removed or edited medication
+const diffRegimens = (before, after) => {
+  const describeMedication = (med) => ({
+    Nombre: med.name,
+    Dosis: describeDose(med) || '-',
+    Horario: med.time,
+    Horas: (med.times || []).join(', ') || '-',
+    Frecuencia: describeRecurrence(med.recurrence),
+    'Principio activo': (med.ingredients || []).map(id => (ACTIVE_INGREDIENTS[id] ? ACTIVE_INGREDIENTS[id].name : id)).join(', ') || '-',
+    'Horas mínimas entre dosis': med.minIntervalHours || '-',
+    'Máximo en 24 h': med.maxDosesPer24h || '-',
+  });
+  const changes = [];
+  after.forEach(med => {
+    const previous = before.find(candidate => candidate.id === med.id);
+    if (!previous) {
+      changes.push({ type: 'added', medId: med.id, name: med.name, details: [`${describeDose(med)} ${med.time} - ${describeRecurrence(med.recurrence)}`.trim()] });
+      return;
+    }
+    const previousFields = describeMedication(previous);
+    const currentFields = describeMedication(med);
+    const details = Object.keys(currentFields)
+      .filter(field => String(previousFields[field]) !== String(currentFields[field]))
+      .map(field => `${field}: ${previousFields[field]} → ${currentFields[field]}`);
+    if (details.length > 0) {
+      changes.push({ type: 'edited', medId: med.id, name: med.name, details });
+    }
+  });
+  before.filter(med => !after.some(candidate => candidate.id === med.id)).forEach(med => {
+    changes.push({ type: 'removed', medId: med.id, name: med.name, details: [] });
+  });
+  return changes;
+};
+
+const REGIMEN_CHANGE_LABELS = { added: 'Se agregó', removed: 'Se quitó', edited: 'Se modificó' };
+
+// Printable list of regimen changes, newest first, to show the doctor
+function RegimenChangelog({ versions, onClose }) {
+  const formatDate = (dateKey) => parseFirestoreDate(dateKey).toLocaleDateString('es-AR');
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-[60] p-4 print:static print:bg-white print:p-0">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto print:max-h-none print:shadow-none">
+        <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">Historial de cambios del tratamiento</h3>
+        <ul className="space-y-4">
+          {[...versions].reverse().map(version => (
+            <li key={version.id} className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              <div className="font-bold">
+                {version.effectiveFrom === INITIAL_REGIMEN_DATE ? 'Tratamiento inicial' : `Vigente desde el ${formatDate(version.effectiveFrom)}`}
+              </div>
+              <div className="text-sm text-gray-600 dark:text-gray-400">
+                Cambiado por {version.changedBy} el {new Date(version.changedAt).toLocaleString('es-AR')}
+                {version.reason && <> - Motivo: <span className="italic">{version.reason}</span></>}
+              </div>
+              {version.changes && version.changes.length > 0 ? (
+                <ul className="mt-2 list-disc list-inside text-sm">
+                  {version.changes.map((change, index) => (
+                    <li key={index}>
+                      {REGIMEN_CHANGE_LABELS[change.type]} <span className="font-medium">{change.name}</span>
+                      {change.details.length > 0 && `: ${change.details.join('; ')}`}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="mt-2 text-sm">{version.medications.length} medicamentos.</p>
+              )}
+            </li>
+          ))}
+        </ul>
+        <div className="flex gap-2 mt-6 print:hidden">
+          <button
+            onClick={() => window.print()}
+            className="flex-1 px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md"
+          >
+            Imprimir
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+          >
+            Cerrar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Expand scheduled medications into individual doses, one per clock time.
+// A definition with a single (or no) time keeps its id as the status key, so existing records still match.
+const getDosesForMedications = (medications) => medications.flatMap(med => {
+  const times = med.times || [];
+  if (times.length <= 1) {
+    return [{ key: med.id, med, time: times[0] || '' }];
+  }
+  return times.map(time => ({ key: `${med.id}@${time}`, med, time }));
+});
+
+// Scheduled doses and how many were checked for one day, using the same rules as the daily view
+const computeDayAdherence = (medications, date, medicationStatus = {}) => {
+  const doses = getDosesForMedications(medications.filter(med => isMedicationScheduledOn(med, date)));
+  const missed = doses.filter(dose => !medicationStatus[dose.key]);
+  return { doses, missed, taken: doses.length - missed.length };
+};
+
+// Tailwind background for a day cell according to the share of doses checked
+const getAdherenceColor = (ratio) => {
+  if (ratio === null) return 'bg-gray-100 dark:bg-gray-700';
+  if (ratio >= 1) return 'bg-green-500 text-white';
+  if (ratio >= 0.75) return 'bg-green-300 dark:bg-green-700';
+  if (ratio >= 0.5) return 'bg-yellow-300 dark:bg-yellow-700';
+  if (ratio > 0) return 'bg-orange-300 dark:bg-orange-700';
+  return 'bg-red-400 text-white';
+};
+
+// Month heatmap of dose adherence with a summary of missed doses per medication
+function AdherenceHistory({ month, records, regimenVersions, onSelectDay, onChangeMonth, onClose }) {
+  const todayKey = formatDateForFirestore(new Date());
+  const year = month.getFullYear();
+  const monthIndex = month.getMonth();
+  const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+  const leadingBlanks = (new Date(year, monthIndex, 1).getDay() + 6) % 7; // Weeks start on Monday
+
+  const days = Array.from({ length: daysInMonth }, (_, index) => {
+    const date = new Date(year, monthIndex, index + 1);
+    const dateKey = formatDateForFirestore(date);
+    const record = records[dateKey] || {};
+    const adherence = computeDayAdherence(getRegimenForDate(regimenVersions, date), date, record.medicationStatus);
+    const isFuture = dateKey > todayKey;
+    const ratio = isFuture || adherence.doses.length === 0 ? null : adherence.taken / adherence.doses.length;
+    return { date, dateKey, adherence, isFuture, ratio };
+  });
+
+  // Missed doses are only counted for days that are already over
+  const missedByMedication = {};
+  days.filter(day => day.dateKey < todayKey).forEach(day => {
+    day.adherence.missed.forEach(({ med, time }) => {
+      const label = time ? `${med.name} (${time})` : `${med.name} (${med.time})`;
+      if (!missedByMedication[label]) {
+        missedByMedication[label] = [];
+      }
+      missedByMedication[label].push(day.date);
+    });
+  });
+  const missedSummary = Object.entries(missedByMedication).sort((a, b) => b[1].length - a[1].length);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <button
+            onClick={() => onChangeMonth(-1)}
+            className="px-3 py-1 bg-indigo-500 hover:bg-indigo-600 text-white rounded-md"
+          >
+            Anterior
+          </button>
+          <h3 className="text-2xl font-bold text-indigo-700 dark:text-indigo-400 capitalize">
+            {month.toLocaleDateString('es-AR', { month: 'long', year: 'numeric' })}
+          </h3>
+          <button
+            onClick={() => onChangeMonth(1)}
+            className="px-3 py-1 bg-indigo-500 hover:bg-indigo-600 text-white rounded-md"
+          >
+            Siguiente
+          </button>
+        </div>
+
+        <div className="grid grid-cols-7 gap-1 text-center text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">
+          {['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'].map(name => <div key={name}>{name}</div>)}
+        </div>
+        <div className="grid grid-cols-7 gap-1 mb-4">
+          {Array.from({ length: leadingBlanks }, (_, index) => <div key={`blank-${index}`} />)}
+          {days.map(day => (
+            <button
+              key={day.dateKey}
+              onClick={() => onSelectDay(day.date)}
+              title={day.ratio === null ? '' : `${day.adherence.taken} de ${day.adherence.doses.length} dosis`}
+              className={`p-2 rounded-md text-sm ${getAdherenceColor(day.ratio)} ${day.dateKey === todayKey ? 'ring-2 ring-indigo-500' : ''}`}
+            >
+              <div className="font-bold">{day.date.getDate()}</div>
+              {day.ratio !== null && <div className="text-xs">{Math.round(day.ratio * 100)}%</div>}
+            </button>
+          ))}
+        </div>
+
+        <h4 className="text-xl font-semibold mb-2 text-gray-800 dark:text-gray-200">Dosis no marcadas en el mes:</h4>
+        {missedSummary.length === 0 ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400">No hay dosis sin marcar en los días ya transcurridos.</p>
+        ) : (
+          <ul className="space-y-2">
+            {missedSummary.map(([label, dates]) => (
+              <li key={label} className="p-2 bg-gray-50 dark:bg-gray-700 rounded-md text-sm">
+                <span className="font-bold">{label}</span>: {dates.length} {dates.length === 1 ? 'vez' : 'veces'}
+                <span className="text-gray-600 dark:text-gray-400"> ({dates.map(date => date.getDate()).join(', ')})</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <button
+          onClick={onClose}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition-transform transform hover:scale-105"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Blood pressure targets used until the family saves its own (mmHg / beats per minute)
+const DEFAULT_BLOOD_PRESSURE_TARGETS = {
+  systolicMin: 90,
+  systolicMax: 140,
+  diastolicMin: 60,
+  diastolicMax: 90,
+  pulseMin: 50,
+  pulseMax: 100,
+};
+// "Tomar la presión 2 veces por semana"
+const WEEKLY_BLOOD_PRESSURE_READINGS = 2;
+const BLOOD_PRESSURE_TREND_RANGES = [7, 30, 90];
+
+// Categories a daily note can be tagged with
+const NOTE_CATEGORIES = [
+  { value: 'general', label: 'General', className: 'bg-gray-200 text-gray-800 dark:bg-gray-600 dark:text-gray-100' },
+  { value: 'sintoma', label: 'Síntoma', className: 'bg-red-200 text-red-800 dark:bg-red-800 dark:text-red-100' },
+  { value: 'comida', label: 'Comida', className: 'bg-amber-200 text-amber-800 dark:bg-amber-800 dark:text-amber-100' },
+  { value: 'visita', label: 'Visita médica', className: 'bg-blue-200 text-blue-800 dark:bg-blue-800 dark:text-blue-100' },
+];
+
+const getNoteCategory = (value) => NOTE_CATEGORIES.find(category => category.value === value) || NOTE_CATEGORIES[0];
+
+// Notes saved before ids and categories existed are keyed by their timestamp and treated as general
+const normalizeNotes = (notes) => notes.map(note => ({
+  ...note,
+  id: note.id || note.timestamp,
+  category: note.category || 'general',
+}));
+
+// Symptoms and events covered by the special-notes rules ("Avisar a la familia en caso de: Diarrea, fiebre, infección")
+const SYMPTOM_TYPES = [
+  { value: 'diarrea', label: 'Diarrea', alertsFamily: true, prnMedicationId: 'miopropan' },
+  { value: 'fiebre', label: 'Fiebre', alertsFamily: true, requiresTemperature: true },
+  { value: 'infeccion', label: 'Infección', alertsFamily: true },
+  { value: 'dolor-cabeza', label: 'Dolor de cabeza', prnMedicationId: 'naproxeno' },
+  { value: 'caida', label: 'Caída' },
+  { value: 'vomitos', label: 'Vómitos' },
+  { value: 'mareo', label: 'Mareo' },
+  { value: 'otro', label: 'Otro' },
+];
+const SYMPTOM_SEVERITIES = ['Leve', 'Moderada', 'Grave'];
+const BODY_TEMPERATURE_LIMITS = { min: 34, max: 43 };
+const createEmptySymptomForm = () => ({ type: 'diarrea', severity: 'Leve', temperature: '', time: '', details: '' });
+
+const getSymptomType = (value) => SYMPTOM_TYPES.find(type => type.value === value) || SYMPTOM_TYPES[SYMPTOM_TYPES.length - 1];
+
+// As-needed medication linked to a symptom: by its configured id, or by a PRN condition that mentions the symptom
+const findSuggestedMedication = (symptomValue, medications) => {
+  const symptomType = getSymptomType(symptomValue);
+  const asNeeded = medications.filter(med => med.recurrence && med.recurrence.type === 'asNeeded');
+  return asNeeded.find(med => med.id === symptomType.prnMedicationId)
+    || asNeeded.find(med => normalizeText(med.recurrence.condition || '').includes(normalizeText(symptomType.label)));
+};
+
+// Check an as-needed dose against the medication's minimum interval and 24h maximum.
+// Exceeding the maximum blocks the dose; giving it too soon only warns.
+const evaluatePrnDose = (med, previousDoses, doseTime) => {
+  const windowStart = doseTime.getTime() - 24 * 60 * 60 * 1000;
+  const dosesInWindow = previousDoses.filter(dose => {
+    const givenAt = new Date(dose.timestamp).getTime();
+    return dose.medId === med.id && givenAt > windowStart && givenAt <= doseTime.getTime();
+  });
+
+  if (med.maxDosesPer24h && dosesInWindow.length >= med.maxDosesPer24h) {
+    return {
+      blocked: `Ya se dieron ${dosesInWindow.length} dosis de ${med.name} en las últimas 24 horas (máximo ${med.maxDosesPer24h}).`,
+      warning: null,
+    };
+  }
+  const lastDose = dosesInWindow.sort((a, b) => a.timestamp.localeCompare(b.timestamp))[dosesInWindow.length - 1];
+  if (med.minIntervalHours && lastDose) {
+    const hoursSinceLast = (doseTime.getTime() - new Date(lastDose.timestamp).getTime()) / (60 * 60 * 1000);
+    if (hoursSinceLast < med.minIntervalHours) {
+      return {
+        blocked: null,
+        warning: `La última dosis de ${med.name} fue a las ${formatTimeOfDay(lastDose.timestamp)} (hace ${hoursSinceLast.toFixed(1)} h). Se recomienda esperar ${med.minIntervalHours} h entre dosis.`,
+      };
+    }
+  }
+  return { blocked: null, warning: null };
+};
+
+// Days of supply below which a medication goes on the "comprar pronto" list, until the family sets its own
+const DEFAULT_LOW_SUPPLY_DAYS = 7;
+// How far ahead the run-out forecast looks
+const FORECAST_HORIZON_DAYS = 365;
+
+// Units (pills) taken per dose, deducted from the stock
+const getUnitsPerDose = (med) => (med.dose ? med.dose.quantity : DEFAULT_DOSE.quantity);
+
+// Stock is counted per product, which several definitions can share
+const getStockItemId = (med) => med.stockItemId || med.id;
+
+// Helper function to group medications by the product they draw from, named after the first one
+const getStockItems = (medications) => medications.reduce((items, med) => {
+  const id = getStockItemId(med);
+  const item = items.find(candidate => candidate.id === id);
+  if (item) {
+    item.medications.push(med);
+  } else {
+    items.push({ id, name: med.name, medications: [med] });
+  }
+  return items;
+}, []);
+
+// Helper function to recognise active ingredients by the trade names found in a medication's name
+const guessIngredients = (name = '') => {
+  const text = normalizeText(name);
+  return Object.keys(ACTIVE_INGREDIENTS).filter(id => (
+    ACTIVE_INGREDIENTS[id].brands.some(brand => new RegExp(`\\b${brand}\\b`).test(text))
+  ));
+};
+
+// Active ingredients of a medication: the ones linked in its definition, or else those recognised in its name
+const getMedicationIngredients = (med) => (
+  med.ingredients && med.ingredients.length > 0 ? med.ingredients : guessIngredients(med.name)
+);
+
+// Milligrams taken per dose (half a 5 mg pill is 2.5); null when the strength is unknown or not a weight
+const getDoseMg = (med) => {
+  if (!med.dose || !med.dose.strength || !MG_PER_UNIT[med.dose.unit]) return null;
+  return med.dose.strength * MG_PER_UNIT[med.dose.unit] * med.dose.quantity;
+};
+
+// Most doses a medication can add up to in one day: one per dose time, or its 24 h limit when taken as needed
+const getMaxDosesPerDay = (med) => {
+  if (med.recurrence && med.recurrence.type === 'asNeeded') return med.maxDosesPer24h || 1;
+  return Math.max(1, (med.times || []).length);
+};
+
+// Daily amount of each active ingredient over all slots of a regimen, in mg, with what every slot
+// contributes. Slots whose dose has no strength are listed without an amount.
+const computeIngredientTotals = (medications) => {
+  const totals = {};
+  medications.forEach(med => {
+    const ingredients = getMedicationIngredients(med);
+    // Combination products are left out: their strength does not say how much of each ingredient they carry
+    if (ingredients.length !== 1 || !ACTIVE_INGREDIENTS[ingredients[0]]) return;
+    const [id] = ingredients;
+    const entry = totals[id] || {
+      id, name: ACTIVE_INGREDIENTS[id].name, maxDailyMg: ACTIVE_INGREDIENTS[id].maxDailyMg, totalMg: 0, asNeeded: false, contributions: [],
+    };
+    const mg = getDoseMg(med);
+    const mgPerDay = mg === null ? null : mg * getMaxDosesPerDay(med);
+    entry.contributions.push({ med, mgPerDay });
+    entry.totalMg += mgPerDay || 0;
+    entry.asNeeded = entry.asNeeded || (!!med.recurrence && med.recurrence.type === 'asNeeded');
+    totals[id] = entry;
+  });
+  return Object.values(totals)
+    .filter(entry => entry.totalMg > 0)
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+};
+
+// Helper function to describe an ingredient total, e.g. '22,5 mg/día (Mañana: 10 mg, Tarde 18hs: 2,5 mg)'
+const describeIngredientTotal = (entry) => {
+  const formatMg = (mg) => `${mg.toLocaleString('es-AR', { maximumFractionDigits: 2 })} mg`;
+  const slots = entry.contributions.map(({ med, mgPerDay }) => (
+    `${med.time}${med.times && med.times.length > 1 ? ` (${med.times.length} tomas)` : ''}: ${mgPerDay === null ? 'sin concentración cargada' : formatMg(mgPerDay)}`
+  ));
+  return `${entry.asNeeded ? 'hasta ' : ''}${formatMg(entry.totalMg)}/día (${slots.join(', ')})`;
+};
+
+const SEVERITY_ORDER = Object.keys(INTERACTION_SEVERITIES);
+
+// Warnings about saving `med` into a regimen (`medications` already includes it): interactions and
+// shared ingredients with the other medications, and ingredients whose daily total exceeds their maximum.
+// Entries with the same name are the same drug at another slot, so they only count towards the totals.
+const checkMedicationWarnings = (med, medications) => {
+  const today = formatDateForFirestore(new Date());
+  const inForce = medications.filter(other => !(other.recurrence && other.recurrence.endDate && other.recurrence.endDate < today));
+  const ingredients = getMedicationIngredients(med);
+  const matchesSide = (side, ingredientId) => (
+    side === ingredientId || (ACTIVE_INGREDIENTS[ingredientId] && ACTIVE_INGREDIENTS[ingredientId].classes.includes(side))
+  );
+  const warnings = [];
+
+  const othersByName = new Map();
+  inForce
+    .filter(other => other.id !== med.id && normalizeText(other.name) !== normalizeText(med.name))
+    .forEach(other => othersByName.set(normalizeText(other.name), other));
+
+  othersByName.forEach(other => {
+    const otherIngredients = getMedicationIngredients(other);
+    const shared = ingredients.filter(id => otherIngredients.includes(id));
+    if (shared.length > 0) {
+      warnings.push({
+        severity: 'alta',
+        message: `${med.name} y ${other.name} tienen el mismo principio activo (${shared.map(id => ACTIVE_INGREDIENTS[id].name).join(', ')}): se estaría duplicando la dosis.`,
+      });
+    }
+    const pairRules = ingredients.flatMap(id => otherIngredients.filter(otherId => otherId !== id).flatMap(otherId => (
+      INTERACTION_RULES.filter(({ between: [a, b] }) => (
+        (matchesSide(a, id) && matchesSide(b, otherId)) || (matchesSide(b, id) && matchesSide(a, otherId))
+      ))
+    )));
+    if (pairRules.length > 0) {
+      // Only the most serious rule that applies, so one pair of drugs gives one warning
+      const rule = [...pairRules].sort((x, y) => SEVERITY_ORDER.indexOf(x.severity) - SEVERITY_ORDER.indexOf(y.severity))[0];
+      warnings.push({ severity: rule.severity, message: `${med.name} + ${other.name}: ${rule.description}` });
+    }
+  });
+
+  computeIngredientTotals(inForce)
+    .filter(entry => ingredients.includes(entry.id) && entry.maxDailyMg && entry.totalMg > entry.maxDailyMg)
+    .forEach(entry => warnings.push({
+      severity: 'alta',
+      message: `${entry.name}: ${describeIngredientTotal(entry)}, más que el máximo habitual de ${entry.maxDailyMg} mg.`,
+    }));
+
+  return warnings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+};
+
+// Forecast when a product's stock runs out, walking the recurrence of every medication that draws
+// from it day by day from today. Doses already checked today have been deducted from the stock, so they are skipped.
+const forecastRunOut = (medications, stock, todayStatus = {}) => {
+  const scheduled = medications.filter(med => med.recurrence && med.recurrence.type !== 'asNeeded');
+  if (stock === undefined || scheduled.length === 0) return null;
+  const today = new Date();
+  let remaining = stock;
+
+  for (let offset = 0; offset < FORECAST_HORIZON_DAYS; offset++) {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    getDosesForMedications(scheduled.filter(med => isMedicationScheduledOn(med, date)))
+      .filter(dose => offset > 0 || !todayStatus[dose.key])
+      .forEach(dose => {
+        remaining -= getUnitsPerDose(dose.med);
+      });
+    if (remaining < 0) {
+      return { runOutDate: date, daysOfSupply: offset };
+    }
+  }
+  return { runOutDate: null, daysOfSupply: Infinity };
+};
+
+// Stock, purchases and forecast per product
+function InventoryManager({ medications, inventory, forecasts, onRecordPurchase, onSetStock, onSaveLowSupplyDays, onClose }) {
+  const [purchase, setPurchase] = useState({ stockItemId: '', quantity: '' });
+  const [lowSupplyDays, setLowSupplyDays] = useState(inventory.lowSupplyDays);
+  const inputClassName = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100";
+  const stockItems = getStockItems(medications);
+  // Log entries written before stock was shared between definitions name a medication id
+  const stockItemName = (entry) => {
+    const id = entry.stockItemId || entry.medId;
+    return (medications.find(med => med.id === id || getStockItemId(med) === id) || { name: id }).name;
+  };
+
+  const handleSubmitPurchase = () => {
+    const quantity = Number(purchase.quantity);
+    if (!purchase.stockItemId || !(quantity > 0)) {
+      alert("Elige un medicamento y una cantidad mayor que cero.");
+      return;
+    }
+    onRecordPurchase(purchase.stockItemId, quantity);
+    setPurchase({ stockItemId: '', quantity: '' });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">Inventario</h3>
+
+        <div className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <h4 className="text-xl font-semibold mb-3 text-gray-800 dark:text-gray-200">Registrar compra</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            <select
+              className={`${inputClassName} sm:col-span-2`}
+              value={purchase.stockItemId}
+              onChange={(e) => setPurchase({ ...purchase, stockItemId: e.target.value })}
+            >
+              <option value="">Selecciona un medicamento</option>
+              {stockItems.map(item => (
+                <option key={item.id} value={item.id}>{item.name} - {item.medications.map(med => med.time).join(', ')}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              className={inputClassName}
+              placeholder="Unidades compradas"
+              value={purchase.quantity}
+              onChange={(e) => setPurchase({ ...purchase, quantity: e.target.value })}
+            />
+          </div>
+          <button
+            onClick={handleSubmitPurchase}
+            className="mt-3 px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md"
+          >
+            Sumar al stock
+          </button>
+        </div>
+
+        <h4 className="text-xl font-semibold mb-3 text-gray-800 dark:text-gray-200">Stock actual:</h4>
+        <ul className="space-y-2 mb-6">
+          {stockItems.map(item => {
+            const stock = inventory.stock[item.id];
+            const forecast = forecasts[item.id];
+            const unitsPerDose = item.medications.map(med => `${getUnitsPerDose(med)} ${med.time}`).join(', ');
+            return (
+              <li key={item.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                <div>
+                  <span className="font-bold">{item.name}</span>
+                  <span className="block text-sm text-gray-600 dark:text-gray-400">
+                    {stock === undefined
+                      ? 'Sin seguimiento de stock'
+                      : `${stock} unidades, por dosis: ${unitsPerDose}`}
+                    {forecast && forecast.runOutDate && ` - alcanza hasta el ${forecast.runOutDate.toLocaleDateString('es-AR')}`}
+                  </span>
+                </div>
+                <button
+                  onClick={() => {
+                    const value = window.prompt(`Unidades de ${item.name} que hay ahora:`, stock === undefined ? '' : String(stock));
+                    if (value !== null && value.trim() !== '' && Number(value) >= 0) {
+                      onSetStock(item.id, Number(value));
+                    }
+                  }}
+                  className="px-3 py-1 bg-yellow-500 hover:bg-yellow-600 text-white rounded-md text-sm"
+                >
+                  Contar stock
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="mb-6 flex flex-wrap items-end gap-2">
+          <div>
+            <label htmlFor="lowSupplyDays" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Avisar "comprar pronto" con menos de (días):
+            </label>
+            <input
+              type="number"
+              id="lowSupplyDays"
+              min="1"
+              className={inputClassName}
+              value={lowSupplyDays}
+              onChange={(e) => setLowSupplyDays(Number(e.target.value))}
+            />
+          </div>
+          <button
+            onClick={() => onSaveLowSupplyDays(lowSupplyDays)}
+            className="px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md"
+          >
+            Guardar
+          </button>
+        </div>
+
+        {inventory.stockLog.length > 0 && (
+          <>
+            <h4 className="text-xl font-semibold mb-3 text-gray-800 dark:text-gray-200">Últimos movimientos:</h4>
+            <ul className="space-y-1 text-sm max-h-40 overflow-y-auto">
+              {[...inventory.stockLog].reverse().slice(0, 30).map(entry => (
+                <li key={entry.id} className="p-2 bg-gray-50 dark:bg-gray-700 rounded-md">
+                  {new Date(entry.timestamp).toLocaleDateString('es-AR')}: {entry.type === 'compra' ? `compra de ${entry.quantity}` : `recuento: ${entry.quantity}`} unidades de{' '}
+                  <span className="font-medium">{stockItemName(entry)}</span> por {entry.author}
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <button
+          onClick={onClose}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition-transform transform hover:scale-105"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Plausible physiological ranges accepted when entering a reading
+const BLOOD_PRESSURE_LIMITS = {
+  systolic: { min: 60, max: 260 },
+  diastolic: { min: 30, max: 160 },
+  pulse: { min: 30, max: 220 },
+};
+const BLOOD_PRESSURE_ARMS = ['Izquierdo', 'Derecho'];
+const BLOOD_PRESSURE_POSITIONS = ['Sentada', 'Acostada', 'De pie'];
+const createEmptyBloodPressureForm = () => ({ systolic: '', diastolic: '', pulse: '', arm: '', position: '', time: '' });
+
+// Validate a blood pressure form; returns an error message or null
+const validateBloodPressureReading = (form) => {
+  const isWholeNumber = (value) => /^\d+$/.test(String(value).trim());
+  if (!isWholeNumber(form.systolic) || !isWholeNumber(form.diastolic)) {
+    return "Ingresa la sistólica y la diastólica como números enteros en mmHg (ej. 120 y 80).";
+  }
+  const systolic = Number(form.systolic);
+  const diastolic = Number(form.diastolic);
+  const { systolic: systolicLimits, diastolic: diastolicLimits, pulse: pulseLimits } = BLOOD_PRESSURE_LIMITS;
+  if (systolic < systolicLimits.min || systolic > systolicLimits.max) {
+    // Readings like 12/8 are usually written in cmHg
+    const hint = systolic < systolicLimits.min ? ` ¿Quisiste escribir ${systolic * 10}/${diastolic * 10}?` : '';
+    return `La sistólica debe estar entre ${systolicLimits.min} y ${systolicLimits.max} mmHg.${hint}`;
+  }
+  if (diastolic < diastolicLimits.min || diastolic > diastolicLimits.max) {
+    return `La diastólica debe estar entre ${diastolicLimits.min} y ${diastolicLimits.max} mmHg.`;
+  }
+  if (diastolic >= systolic) {
+    return "La diastólica (mínima) tiene que ser menor que la sistólica (máxima).";
+  }
+  if (String(form.pulse).trim()) {
+    if (!isWholeNumber(form.pulse) || Number(form.pulse) < pulseLimits.min || Number(form.pulse) > pulseLimits.max) {
+      return `El pulso debe ser un número entre ${pulseLimits.min} y ${pulseLimits.max} latidos por minuto.`;
+    }
+  }
+  return null;
+};
+
+// Helper function to check target ranges before saving; an inverted range would flag every reading
+const validateBloodPressureTargets = (targets) => {
+  const ranges = [
+    { name: 'sistólica', min: targets.systolicMin, max: targets.systolicMax },
+    { name: 'diastólica', min: targets.diastolicMin, max: targets.diastolicMax },
+    { name: 'pulso', min: targets.pulseMin, max: targets.pulseMax },
+  ];
+  for (const range of ranges) {
+    if (!Number.isInteger(range.min) || !Number.isInteger(range.max) || range.min <= 0 || range.max <= 0) {
+      return `Los valores de ${range.name} deben ser números enteros mayores que cero.`;
+    }
+    if (range.min >= range.max) {
+      return `El mínimo de ${range.name} tiene que ser menor que el máximo.`;
+    }
+  }
+  return null;
+};
+
+// Readings saved before validation existed have string values and no id
+const normalizeBloodPressureReadings = (readings) => readings.map(bp => ({
+  ...bp,
+  id: bp.id || bp.timestamp,
+  systolic: Number(bp.systolic),
+  diastolic: Number(bp.diastolic),
+  pulse: bp.pulse ? Number(bp.pulse) : null,
+}));
+
+// Lists of the daily record are stored as maps keyed by item id, so two caregivers adding or
+// editing entries at the same time each touch only their own key instead of rewriting the list.
+// Records written before this kept each list as one JSON string under the field name on the left.
+const DAILY_ITEM_FIELDS = {
+  medicationLog: 'medicationLogItems',
+  notes: 'noteItems',
+  bloodPressure: 'bloodPressureItems',
+  symptoms: 'symptomItems',
+  prnDoses: 'prnDoseItems',
+};
+// Map of dose key to checked state; replaces the stringified medicationStatus
+const DOSE_STATUS_FIELD = 'doseStatus';
+
+// Administration log entries had no id; the time and dose identify them
+const getLogEntryId = (entry) => `${entry.timestamp}_${entry.doseKey}`;
+
+const getDailyItemId = (field, item) => (field === 'medicationLog' ? getLogEntryId(item) : item.id || item.timestamp);
+
+const parseLegacyDailyField = (value, fallback) => (typeof value === 'string' && value ? JSON.parse(value) : fallback);
+
+// Helper function to read one list of a daily record, combining a not yet migrated JSON string with the item map
+const readDailyItems = (data, field) => {
+  const itemsById = {};
+  parseLegacyDailyField(data[field], []).forEach(item => {
+    itemsById[getDailyItemId(field, item)] = item;
+  });
+  Object.entries(data[DAILY_ITEM_FIELDS[field]] || {}).forEach(([id, item]) => {
+    itemsById[id] = item;
+  });
+  return Object.entries(itemsById)
+    .map(([id, item]) => ({ ...item, id }))
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+};
+
+// Helper function to read a daily record document in either storage format
+const readDailyRecord = (data) => ({
+  medicationStatus: { ...parseLegacyDailyField(data.medicationStatus, {}), ...(data[DOSE_STATUS_FIELD] || {}) },
+  medicationLog: readDailyItems(data, 'medicationLog'),
+  notes: normalizeNotes(readDailyItems(data, 'notes')),
+  bloodPressure: normalizeBloodPressureReadings(readDailyItems(data, 'bloodPressure')),
+  symptoms: readDailyItems(data, 'symptoms'),
+  prnDoses: readDailyItems(data, 'prnDoses'),
+});
+
+// Helper function to turn a read daily record back into its stored item maps
+const toDailyRecordItems = (record) => ({
+  [DOSE_STATUS_FIELD]: record.medicationStatus,
+  ...Object.fromEntries(Object.entries(DAILY_ITEM_FIELDS).map(([field, itemsField]) => [
+    itemsField,
+    Object.fromEntries(record[field].map(item => [item.id, item])),
+  ])),
+});
+
+const hasLegacyDailyFields = (data) => ['medicationStatus', ...Object.keys(DAILY_ITEM_FIELDS)]
+  .some(field => typeof data[field] === 'string');
+
+// Rewrite a daily record's JSON strings as item maps. The transaction re-reads the document so
+// entries another caregiver added in the meantime are carried over rather than dropped.
+const migrateLegacyDailyFields = (dailyRecordPath) => storage.updateInTransaction(dailyRecordPath, (data) => {
+  if (!data || !hasLegacyDailyFields(data)) return null;
+
+  const update = { ...toDailyRecordItems(readDailyRecord(data)), medicationStatus: storage.deleteField() };
+  Object.keys(DAILY_ITEM_FIELDS).forEach(field => {
+    update[field] = storage.deleteField();
+  });
+  return update;
+});
+
+// Flatten the blood pressure readings of several daily records into one sorted list of numbers
+const collectBloodPressureReadings = (dailyRecordDocs) => dailyRecordDocs
+  .flatMap(data => readDailyRecord(data).bloodPressure
+    .filter(bp => !bp.deleted)
+    .map(bp => ({ ...bp, date: data.date })))
+  .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+// Which values of a reading fall outside the configured targets
+const getOutOfRangeValues = (reading, targets) => {
+  const outOfRange = [];
+  const systolic = Number(reading.systolic);
+  const diastolic = Number(reading.diastolic);
+  if (systolic > targets.systolicMax || systolic < targets.systolicMin) outOfRange.push('systolic');
+  if (diastolic > targets.diastolicMax || diastolic < targets.diastolicMin) outOfRange.push('diastolic');
+  if (reading.pulse && (Number(reading.pulse) > targets.pulseMax || Number(reading.pulse) < targets.pulseMin)) outOfRange.push('pulse');
+  return outOfRange;
+};
+
+// Helper function to get the Monday that starts the week of a given date
+const getStartOfWeek = (date) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+};
+
+// SVG line chart of systolic/diastolic/pulse readings with the target maxima drawn as dashed lines
+function BloodPressureChart({ readings, targets }) {
+  const width = 600;
+  const height = 260;
+  const padding = { top: 10, right: 10, bottom: 30, left: 40 };
+  const minValue = 40;
+  const maxValue = 200;
+
+  if (readings.length === 0) {
+    return <p className="text-sm text-gray-600 dark:text-gray-400">No hay registros de presión en este período.</p>;
+  }
+
+  const firstTime = new Date(readings[0].timestamp).getTime();
+  const lastTime = new Date(readings[readings.length - 1].timestamp).getTime();
+  const x = (timestamp) => {
+    if (lastTime === firstTime) return (padding.left + width - padding.right) / 2;
+    return padding.left + ((new Date(timestamp).getTime() - firstTime) / (lastTime - firstTime)) * (width - padding.left - padding.right);
+  };
+  const y = (value) => {
+    const clamped = Math.min(maxValue, Math.max(minValue, value));
+    return padding.top + (1 - (clamped - minValue) / (maxValue - minValue)) * (height - padding.top - padding.bottom);
+  };
+
+  const series = [
+    { key: 'systolic', label: 'Sistólica', color: '#dc2626', max: targets.systolicMax },
+    { key: 'diastolic', label: 'Diastólica', color: '#2563eb', max: targets.diastolicMax },
+    { key: 'pulse', label: 'Pulso', color: '#16a34a', max: targets.pulseMax },
+  ].filter(line => readings.some(reading => reading[line.key]));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto bg-white dark:bg-gray-900 rounded-md">
+        {[60, 80, 100, 120, 140, 160, 180].map(value => (
+          <g key={value}>
+            <line x1={padding.left} x2={width - padding.right} y1={y(value)} y2={y(value)} stroke="#e5e7eb" strokeWidth="1" />
+            <text x={padding.left - 6} y={y(value) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{value}</text>
+          </g>
+        ))}
+        {series.map(line => (
+          <g key={line.key}>
+            <line
+              x1={padding.left}
+              x2={width - padding.right}
+              y1={y(line.max)}
+              y2={y(line.max)}
+              stroke={line.color}
+              strokeDasharray="4 4"
+              strokeOpacity="0.6"
+            />
+            <polyline
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              points={readings.filter(reading => reading[line.key]).map(reading => `${x(reading.timestamp)},${y(reading[line.key])}`).join(' ')}
+            />
+            {readings.filter(reading => reading[line.key]).map((reading, index) => {
+              const isOutOfRange = getOutOfRangeValues(reading, targets).includes(line.key);
+              return (
+                <circle
+                  key={index}
+                  cx={x(reading.timestamp)}
+                  cy={y(reading[line.key])}
+                  r={isOutOfRange ? 6 : 3}
+                  fill={isOutOfRange ? '#f97316' : line.color}
+                  stroke={isOutOfRange ? '#7c2d12' : 'none'}
+                >
+                  <title>{`${line.label}: ${reading[line.key]} — ${new Date(reading.timestamp).toLocaleString('es-AR')}`}</title>
+                </circle>
+              );
+            })}
+          </g>
+        ))}
+        <text x={padding.left} y={height - 8} fontSize="10" fill="#6b7280">
+          {new Date(firstTime).toLocaleDateString('es-AR')}
+        </text>
+        <text x={width - padding.right} y={height - 8} textAnchor="end" fontSize="10" fill="#6b7280">
+          {new Date(lastTime).toLocaleDateString('es-AR')}
+        </text>
+      </svg>
+      <div className="flex flex-wrap gap-4 mt-2 text-sm">
+        {series.map(line => (
+          <span key={line.key} className="flex items-center">
+            <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: line.color }}></span>
+            {line.label}
+          </span>
+        ))}
+        <span className="flex items-center">
+          <span className="inline-block w-3 h-3 rounded-full mr-1 bg-orange-500"></span>
+          Fuera de rango
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Trend view over the last 7/30/90 days with editable target ranges
+function BloodPressureTrend({ rangeDays, onChangeRange, readings, targets, onSaveTargets, onClose }) {
+  const [draftTargets, setDraftTargets] = useState(targets);
+  const outOfRangeReadings = readings.filter(reading => getOutOfRangeValues(reading, targets).length > 0);
+  const targetFields = [
+    { key: 'systolicMin', label: 'Sistólica mín.' },
+    { key: 'systolicMax', label: 'Sistólica máx.' },
+    { key: 'diastolicMin', label: 'Diastólica mín.' },
+    { key: 'diastolicMax', label: 'Diastólica máx.' },
+    { key: 'pulseMin', label: 'Pulso mín.' },
+    { key: 'pulseMax', label: 'Pulso máx.' },
+  ];
+
+  useEffect(() => {
+    setDraftTargets(targets);
+  }, [targets]);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-purple-700 dark:text-purple-300">Evolución de la Presión Arterial</h3>
+        <div className="flex gap-2 mb-4">
+          {BLOOD_PRESSURE_TREND_RANGES.map(days => (
+            <button
+              key={days}
+              onClick={() => onChangeRange(days)}
+              className={`px-3 py-1 rounded-md text-sm ${rangeDays === days ? 'bg-purple-500 text-white' : 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100'}`}
+            >
+              {days} días
+            </button>
+          ))}
+        </div>
+
+        <BloodPressureChart readings={readings} targets={targets} />
+
+        {outOfRangeReadings.length > 0 && (
+          <div className="mt-4">
+            <h4 className="font-semibold mb-2 text-orange-700 dark:text-orange-300">
+              Registros fuera de rango ({outOfRangeReadings.length} de {readings.length}):
+            </h4>
+            <ul className="space-y-1 max-h-40 overflow-y-auto">
+              {outOfRangeReadings.map((reading, index) => (
+                <li key={index} className="p-2 bg-orange-50 dark:bg-orange-900 rounded-md text-sm">
+                  <span className="font-bold">{reading.systolic}/{reading.diastolic} mmHg</span>
+                  {reading.pulse && <span> - {reading.pulse} lpm</span>} -{' '}
+                  {new Date(reading.timestamp).toLocaleString('es-AR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })} por{' '}
+                  <span className="font-medium">{reading.author}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <h4 className="text-lg font-semibold mt-6 mb-2 text-gray-800 dark:text-gray-200">Rangos objetivo:</h4>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-3">
+          {targetFields.map(field => (
+            <div key={field.key}>
+              <label htmlFor={field.key} className="block text-sm font-medium text-gray-700 dark:text-gray-300">{field.label}:</label>
+              <input
+                type="number"
+                id={field.key}
+                className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                value={draftTargets[field.key]}
+                disabled={!onSaveTargets}
+                onChange={(e) => setDraftTargets({ ...draftTargets, [field.key]: Number(e.target.value) })}
+              />
+            </div>
+          ))}
+        </div>
+        {onSaveTargets && (
+          <button
+            onClick={() => onSaveTargets(draftTargets)}
+            className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg shadow-md"
+          >
+            Guardar rangos
+          </button>
+        )}
+
+        <button
+          onClick={onClose}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition-transform transform hover:scale-105"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Helper function to convert a clock time (HH:MM) into minutes since midnight
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Helper function to format an ISO timestamp as a short local time (e.g. 08:12)
+const formatTimeOfDay = (timestamp) => new Date(timestamp).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' });
+
+// Most recent administration log entry for a dose, or undefined if it was never toggled
+const getLatestLogEntry = (medicationLog, doseKey) => {
+  const entries = medicationLog.filter(entry => entry.doseKey === doseKey);
+  return entries[entries.length - 1];
+};
+
+// Minutes after the scheduled time at which an unchecked dose is reported as overdue
+const REMINDER_OVERDUE_MINUTES = 30;
+const NOTIFIED_REMINDERS_KEY = 'medication_calendar_notified_reminders';
+
+// Reminders already shown today, persisted so a reload doesn't repeat them
+const loadNotifiedReminders = (dateKey) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(NOTIFIED_REMINDERS_KEY) || '{}');
+    return stored.date === dateKey ? stored.keys : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveNotifiedReminders = (dateKey, keys) => {
+  localStorage.setItem(NOTIFIED_REMINDERS_KEY, JSON.stringify({ date: dateKey, keys }));
+};
+
+// Show a reminder about a patient through the service worker, falling back to a page notification.
+// Its link reopens that patient, which need not be the one selected.
+const showReminder = (serviceWorker, patientId, title, body, tag) => {
+  const url = `${window.location.origin}${window.location.pathname}?patient=${encodeURIComponent(patientId)}`;
+  const options = { body, tag, renotify: true, requireInteraction: true, data: { url } };
+  if (serviceWorker) {
+    serviceWorker.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+};
+
+// Frequency picker used by the Administrar Medicamentos modal
+function RecurrencePicker({ value, onChange }) {
+  const inputClassName = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100";
+  const labelClassName = "block text-sm font-medium text-gray-700 dark:text-gray-300";
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(d => d !== day)
+      : [...value.weekdays, day].sort();
+    update({ weekdays });
+  };
+
+  return (
+    <div className="space-y-3">
+      <select
+        id="medFrequency"
+        className={inputClassName}
+        value={value.type}
+        onChange={(e) => update({ type: e.target.value })}
+      >
+        {RECURRENCE_TYPES.map(type => (
+          <option key={type.value} value={type.value}>{type.label}</option>
+        ))}
+      </select>
+
+      {value.type === 'weekdays' && (
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAY_NAMES.map((name, day) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`px-2 py-1 rounded-md text-sm ${value.weekdays.includes(day) ? 'bg-indigo-500 text-white' : 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100'}`}
+            >
+              {name.slice(0, 3)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value.type === 'interval' && (
+        <div>
+          <label htmlFor="recurrenceInterval" className={labelClassName}>Cada cuántos días:</label>
+          <input
+            type="number"
+            id="recurrenceInterval"
+            min="1"
+            className={inputClassName}
+            value={value.interval}
+            onChange={(e) => update({ interval: Number(e.target.value) })}
+          />
+        </div>
+      )}
+
+      {value.type === 'monthlyWeekday' && (
+        <div className="flex gap-2">
+          <select
+            className={inputClassName}
+            value={value.nth}
+            onChange={(e) => update({ nth: Number(e.target.value) })}
+          >
+            {ORDINALS.map(ordinal => (
+              <option key={ordinal.value} value={ordinal.value}>{ordinal.label}</option>
+            ))}
+          </select>
+          <select
+            className={inputClassName}
+            value={value.weekday}
+            onChange={(e) => update({ weekday: Number(e.target.value) })}
+          >
+            {WEEKDAY_NAMES.map((name, day) => (
+              <option key={name} value={day}>{name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {value.type === 'monthDay' && (
+        <div>
+          <label htmlFor="recurrenceDayOfMonth" className={labelClassName}>Día del mes:</label>
+          <input
+            type="number"
+            id="recurrenceDayOfMonth"
+            min="1"
+            max="31"
+            className={inputClassName}
+            value={value.dayOfMonth}
+            onChange={(e) => update({ dayOfMonth: Number(e.target.value) })}
+          />
+        </div>
+      )}
+
+      {value.type === 'asNeeded' && (
+        <div>
+          <label htmlFor="recurrenceCondition" className={labelClassName}>Cuándo darlo:</label>
+          <input
+            type="text"
+            id="recurrenceCondition"
+            className={inputClassName}
+            value={value.condition}
+            onChange={(e) => update({ condition: e.target.value })}
+            placeholder="Ej. En caso de dolor de cabeza"
+          />
+        </div>
+      )}
+
+      {value.type !== 'asNeeded' && (
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label htmlFor="recurrenceStart" className={labelClassName}>
+              {value.type === 'interval' ? 'Desde:' : 'Desde (opcional):'}
+            </label>
+            <input
+              type="date"
+              id="recurrenceStart"
+              className={inputClassName}
+              value={value.startDate}
+              onChange={(e) => update({ startDate: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="recurrenceEnd" className={labelClassName}>Hasta (opcional):</label>
+            <input
+              type="date"
+              id="recurrenceEnd"
+              className={inputClassName}
+              value={value.endDate}
+              onChange={(e) => update({ endDate: e.target.value })}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sign-in with Google or a passwordless email link
+function SignInScreen() {
+  const [email, setEmail] = useState('');
+  const [linkSent, setLinkSent] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleGoogleSignIn = async () => {
+    setError('');
+    try {
+      await storage.signInWithGoogle();
+    } catch (signInError) {
+      console.error("Error signing in with Google:", signInError);
+      setError("No se pudo iniciar sesión con Google. Inténtalo de nuevo.");
+    }
+  };
+
+  const handleSendEmailLink = async () => {
+    setError('');
+    if (!email.trim()) {
+      setError("Ingresa tu correo electrónico.");
+      return;
+    }
+    try {
+      await storage.sendSignInLink(email.trim(), window.location.href);
+      localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email.trim());
+      setLinkSent(true);
+    } catch (sendError) {
+      console.error("Error sending sign-in link:", sendError);
+      setError("No se pudo enviar el enlace. Revisa el correo e inténtalo de nuevo.");
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-sm">
+        <h1 className="text-2xl font-bold mb-4 text-center text-indigo-700 dark:text-indigo-400">Calendario de Medicamentos</h1>
+        <button
+          onClick={handleGoogleSignIn}
+          className="w-full px-4 py-2 mb-4 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md"
+        >
+          Entrar con Google
+        </button>
+        <div className="text-center text-sm text-gray-500 dark:text-gray-400 mb-4">o con un enlace por correo</div>
+        {linkSent ? (
+          <p className="text-sm text-center">Te enviamos un enlace a <span className="font-bold">{email}</span>. Ábrelo en este dispositivo para entrar.</p>
+        ) : (
+          <>
+            <input
+              type="email"
+              className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md mb-2 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+              placeholder="tu@correo.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <button
+              onClick={handleSendEmailLink}
+              className="w-full px-4 py-2 bg-gray-200 hover:bg-gray-300 dark:bg-gray-600 dark:hover:bg-gray-500 rounded-lg shadow-md"
+            >
+              Enviarme un enlace
+            </button>
+          </>
+        )}
+        {error && <p className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+// Admin panel to change the role of each caregiver
+function CaregiverManager({ caregivers, currentUid, onChangeRole, onClose }) {
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">Cuidadores y Permisos</h3>
+        <ul className="space-y-2 mb-4 text-sm">
+          {Object.entries(ROLES).map(([role, { label, description }]) => (
+            <li key={role}><span className="font-bold">{label}:</span> {description}.</li>
+          ))}
+        </ul>
+        <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+          Solo la app impide editar notas y síntomas ajenos; el servidor no lo comprueba. Da el rol de cuidador a personas de confianza.
+        </p>
+        <ul className="space-y-3">
+          {caregivers.map(caregiver => (
+            <li key={caregiver.uid} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              <div>
+                <span className="font-bold">{caregiver.displayName}</span>
+                <span className="block text-sm text-gray-500 dark:text-gray-400">{caregiver.email}</span>
+              </div>
+              <select
+                className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                value={caregiver.role}
+                disabled={caregiver.uid === currentUid}
+                onChange={(e) => onChangeRole(caregiver.uid, e.target.value)}
+              >
+                {Object.entries(ROLES).map(([role, { label }]) => (
+                  <option key={role} value={role}>{label}</option>
+                ))}
+              </select>
+            </li>
+          ))}
+        </ul>
+        <button
+          onClick={onClose}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition-transform transform hover:scale-105"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Patients cared for by the family. Each one has its own regimen, daily records, inventory and settings.
+const DEFAULT_PATIENT_ID = 'default';
+const SELECTED_PATIENT_KEY = 'medication_calendar_selected_patient';
+const PATIENT_PHOTO_SIZE = 160;
+
+// Helper function to build the storage path that scopes all data of a patient
+const getPatientPath = (patientId) => `artifacts/${appId}/public/data/patients/${patientId}`;
+
+const createEmptyPatient = () => ({ name: '', photoUrl: '', allergies: [], doctors: [] });
+
+// Patient requested by a ?patient= deep link, falling back to the last one opened on this device
+const getInitialPatientId = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('patient');
+  return fromUrl || localStorage.getItem(SELECTED_PATIENT_KEY) || null;
+};
+
+// Helper function to shrink a picked photo to a small square JPEG data URL stored in the patient doc
+const resizeImageToDataUrl = (file, size = PATIENT_PHOTO_SIZE) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = () => reject(reader.error);
+  reader.onload = () => {
+    const image = new Image();
+    image.onerror = () => reject(new Error('No se pudo leer la imagen'));
+    image.onload = () => {
+      const side = Math.min(image.width, image.height);
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      canvas.getContext('2d').drawImage(
+        image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, size, size
+      );
+      resolve(canvas.toDataURL('image/jpeg', 0.8));
+    };
+    image.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+});
+
+// Copy the single-patient data stored directly under public/data into the default patient.
+// The patient doc is written last so a half-finished migration is retried on the next load.
+const migrateLegacyDataToDefaultPatient = async (createdBy) => {
+  const legacyPath = `artifacts/${appId}/public/data`;
+  const patientPath = getPatientPath(DEFAULT_PATIENT_ID);
+  const writes = [];
+
+  const legacyVersions = await storage.getCollection(`${legacyPath}/regimenVersions`);
+  if (legacyVersions.length === 0) {
+    const definitions = await storage.getDoc(`${legacyPath}/medicationDefinitions/currentDefinitions`);
+    writes.push([`${patientPath}/regimenVersions/initial`, {
+      effectiveFrom: INITIAL_REGIMEN_DATE,
+      medications: migrateMedicationDefinitions(definitions ? definitions.medications : defaultMedications),
+      changedBy: 'Migración',
+      changedAt: new Date().toISOString(),
+      reason: 'Tratamiento vigente al empezar a guardar versiones',
+      changes: [],
+    }]);
+  } else {
+    legacyVersions.forEach(({ id, data }) => writes.push([`${patientPath}/regimenVersions/${id}`, data]));
+  }
+
+  const legacyRecords = await storage.getCollection(`${legacyPath}/dailyRecords`);
+  legacyRecords.forEach(({ id, data }) => writes.push([`${patientPath}/dailyRecords/${id}`, data]));
+
+  for (const docPath of ['inventory/stock', 'settings/bloodPressure']) {
+    const legacyData = await storage.getDoc(`${legacyPath}/${docPath}`);
+    if (legacyData) {
+      writes.push([`${patientPath}/${docPath}`, legacyData]);
+    }
+  }
+
+  await storage.commitWrites(writes);
+
+  await storage.setDoc(patientPath, {
+    ...createEmptyPatient(),
+    name: 'Mamá',
+    createdBy,
+    createdAt: new Date().toISOString(),
+  });
+};
+
+// Admin editor for the time slots: name, clock time, order and colour. Slots in use cannot be deleted;
+// renaming one is saved together with a regimen version that moves its medications to the new name.
+function TimeSlotManager({ slots, medications, onSave, onClose }) {
+  const [rows, setRows] = useState(slots);
+  const inputClassName = "p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100";
+
+  const updateRow = (index, changes) => setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  const moveRow = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rows.length) return;
+    const reordered = [...rows];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setRows(reordered);
+  };
+  const isInUse = (row) => {
+    const original = slots.find(slot => slot.id === row.id);
+    return !!original && medications.some(med => findTimeSlot([original], med.time));
+  };
+
+  const handleSave = async () => {
+    const names = rows.map(row => normalizeText(row.name));
+    if (names.some(name => !name)) {
+      alert("Todos los horarios necesitan un nombre.");
+      return;
+    }
+    if (new Set(names).size !== names.length) {
+      alert("Hay dos horarios con el mismo nombre.");
+      return;
+    }
+    if (await onSave(rows.map(row => ({ ...row, name: row.name.trim() })))) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-[60] p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-2 text-indigo-700 dark:text-indigo-400">Horarios del día</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          La hora marca qué horario se resalta como actual o próximo. Al renombrar un horario, sus medicamentos pasan al nombre nuevo.
+        </p>
+        <ul className="space-y-2 mb-4">
+          {rows.map((row, index) => (
+            <li key={row.id} className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              <span className={`w-3 h-3 rounded-full ${(SLOT_COLORS[row.color] || SLOT_COLORS.gray).dot}`} />
+              <input
+                type="text"
+                aria-label="Nombre del horario"
+                className={`${inputClassName} flex-1 min-w-[10rem]`}
+                value={row.name}
+                onChange={(e) => updateRow(index, { name: e.target.value })}
+              />
+              <input
+                type="time"
+                aria-label="Hora"
+                className={inputClassName}
+                value={row.time}
+                onChange={(e) => updateRow(index, { time: e.target.value })}
+              />
+              <select
+                aria-label="Color"
+                className={inputClassName}
+                value={row.color}
+                onChange={(e) => updateRow(index, { color: e.target.value })}
+              >
+                {Object.entries(SLOT_COLORS).map(([value, color]) => <option key={value} value={value}>{color.label}</option>)}
+              </select>
+              <button onClick={() => moveRow(index, -1)} disabled={index === 0} className="px-2 py-1 bg-gray-200 dark:bg-gray-600 rounded-md disabled:opacity-40" aria-label="Subir">↑</button>
+              <button onClick={() => moveRow(index, 1)} disabled={index === rows.length - 1} className="px-2 py-1 bg-gray-200 dark:bg-gray-600 rounded-md disabled:opacity-40" aria-label="Bajar">↓</button>
+              <button
+                onClick={() => setRows(rows.filter((_, i) => i !== index))}
+                disabled={isInUse(row)}
+                title={isInUse(row) ? 'Hay medicamentos en este horario' : ''}
+                className="px-2 py-1 bg-red-500 hover:bg-red-600 text-white rounded-md text-sm disabled:opacity-40"
+              >
+                Eliminar
+              </button>
+            </li>
+          ))}
+        </ul>
+        <button
+          onClick={() => setRows([...rows, { id: `slot-${Date.now()}`, name: '', time: '', color: 'gray', order: rows.length, previousNames: [] }])}
+          className="mb-4 px-3 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-600 dark:hover:bg-gray-500 text-gray-800 dark:text-gray-100 rounded-md text-sm"
+        >
+          Añadir horario
+        </button>
+        <div className="flex gap-2">
+          <button onClick={handleSave} className="flex-1 px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md">Guardar</button>
+          <button onClick={onClose} className="flex-1 px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md">Cancelar</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Days the activity feed can look back, and the hour of the end-of-day digest until the family sets its own
+const ACTIVITY_FEED_RANGES = [1, 3, 7];
+const DEFAULT_DIGEST_HOUR = 21;
+const ACTIVITY_TYPES = {
+  dose: { label: 'Dosis', className: 'bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100' },
+  prn: { label: 'Según necesidad', className: 'bg-orange-100 text-orange-800 dark:bg-orange-800 dark:text-orange-100' },
+  note: { label: 'Nota', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-800 dark:text-yellow-100' },
+  bloodPressure: { label: 'Presión', className: 'bg-blue-100 text-blue-800 dark:bg-blue-800 dark:text-blue-100' },
+  symptom: { label: 'Síntoma', className: 'bg-red-100 text-red-800 dark:bg-red-800 dark:text-red-100' },
+  regimen: { label: 'Tratamiento', className: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-800 dark:text-indigo-100' },
+};
+
+// Everything the family recorded since a given time, newest first: dose checks, as-needed doses, notes,
+// readings, symptoms and regimen changes, each with who did it and when
+const buildActivityFeed = (dailyRecordDocs, regimenVersions, since) => {
+  const allMedications = regimenVersions.flatMap(version => version.medications);
+  const getMedicationName = (medId) => (allMedications.find(med => med.id === medId) || { name: medId }).name;
+  const items = [];
+
+  dailyRecordDocs.forEach(data => {
+    const record = readDailyRecord(data);
+    record.medicationLog.forEach(entry => {
+      const [medId, time] = entry.doseKey.split('@');
+      items.push({
+        id: `dose-${getLogEntryId(entry)}`,
+        type: 'dose',
+        timestamp: entry.timestamp,
+        author: entry.author,
+        text: `${entry.given ? 'Marcó como dada' : 'Desmarcó'}: ${getMedicationName(medId)}${time ? ` (${time})` : ''}${entry.comment ? ` - "${entry.comment}"` : ''}`,
+      });
+    });
+    record.prnDoses.forEach(dose => items.push({
+      id: `prn-${dose.id}`,
+      type: 'prn',
+      timestamp: dose.timestamp,
+      author: dose.author,
+      text: `Dio ${getMedicationName(dose.medId)}${dose.reason ? ` (${dose.reason})` : ''}`,
+    }));
+    record.notes.forEach(note => items.push({
+      id: `note-${note.id}`,
+      type: 'note',
+      timestamp: note.timestamp,
+      author: note.author,
+      text: `${getNoteCategory(note.category).label}: "${note.text}"`,
+    }));
+    record.bloodPressure.filter(bp => !bp.deleted).forEach(bp => items.push({
+      id: `bp-${bp.id}`,
+      type: 'bloodPressure',
+      timestamp: bp.timestamp,
+      author: bp.author,
+      text: `${bp.systolic}/${bp.diastolic} mmHg${bp.pulse ? `, pulso ${bp.pulse}` : ''}`,
+    }));
+    record.symptoms.forEach(symptom => items.push({
+      id: `symptom-${symptom.id}`,
+      type: 'symptom',
+      timestamp: symptom.timestamp,
+      author: symptom.author,
+      text: describeSymptom(symptom),
+    }));
+  });
+
+  regimenVersions.filter(version => version.changedAt && version.effectiveFrom !== INITIAL_REGIMEN_DATE).forEach(version => items.push({
+    id: `regimen-${version.id}`,
+    type: 'regimen',
+    timestamp: version.changedAt,
+    author: version.changedBy,
+    text: `${(version.changes || []).map(change => `${REGIMEN_CHANGE_LABELS[change.type]} ${change.name}`).join(', ') || 'Cambio del tratamiento'}`
+      + `${version.reason ? ` (${version.reason})` : ''}, desde el ${parseFirestoreDate(version.effectiveFrom).toLocaleDateString('es-AR')}`,
+  }));
+
+  return items
+    .filter(item => item.timestamp >= since)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+};
+
+// End-of-day summary of the doses still unchecked on a date, with a message ready to share
+const buildMissedDoseDigest = ({ patientName, date, medications, medicationStatus, timeSlots, appUrl }) => {
+  const { doses, missed } = computeDayAdherence(medications, date, medicationStatus);
+  const getSlotName = (med) => (findTimeSlot(timeSlots, med.time) || { name: med.time }).name;
+  const lines = sortSlotNames([...new Set(missed.map(dose => getSlotName(dose.med)))], timeSlots)
+    .flatMap(slotName => missed
+      .filter(dose => getSlotName(dose.med) === slotName)
+      .map(({ med, time }) => `- ${slotName}${time ? ` ${time}` : ''}: ${med.name}${describeDose(med) ? ` (${describeDose(med)})` : ''}`));
+  const summary = missed.length === 0
+    ? `Todas las dosis del día están marcadas (${doses.length}).`
+    : `Dosis sin marcar (${missed.length} de ${doses.length}):\n${lines.join('\n')}`;
+  return {
+    missed,
+    lines,
+    message: `Resumen del ${date.toLocaleDateString('es-AR')} - ${patientName}\n${summary}\n\nVer el calendario: ${appUrl}`,
+  };
+};
+
+// Live feed of what every caregiver recorded, with today's digest of unchecked doses on top
+function ActivityFeed({ items, days, onChangeDays, digest, digestHour, onChangeDigestHour, onShareDigest, onClose }) {
+  const itemsByDay = (items || []).reduce((acc, item) => {
+    const day = new Date(item.timestamp).toLocaleDateString('es-AR', { weekday: 'long', day: 'numeric', month: 'long' });
+    acc[day] = [...(acc[day] || []), item];
+    return acc;
+  }, {});
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">Actividad de la familia</h3>
+
+        <div className="mb-4 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm">
+          <h4 className="font-semibold mb-1">Resumen de hoy</h4>
+          {digest.missed.length === 0
+            ? <p>Todas las dosis del día están marcadas.</p>
+            : <ul>{digest.lines.map(line => <li key={line}>{line}</li>)}</ul>}
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            <button onClick={onShareDigest} className="px-3 py-1 bg-green-500 hover:bg-green-600 text-white rounded-md">
+              Compartir por WhatsApp
+            </button>
+            <label className="text-gray-600 dark:text-gray-300">
+              Resumen automático a las{' '}
+              <select
+                value={digestHour}
+                disabled={!onChangeDigestHour}
+                onChange={(e) => onChangeDigestHour(Number(e.target.value))}
+                className="p-1 border border-gray-300 rounded-md dark:bg-gray-600 dark:border-gray-500"
+              >
+                {Array.from({ length: 24 }, (_, hour) => <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          {ACTIVITY_FEED_RANGES.map(range => (
+            <button
+              key={range}
+              onClick={() => onChangeDays(range)}
+              className={`px-3 py-1 rounded-md text-sm ${days === range ? 'bg-indigo-500 text-white' : 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100'}`}
+            >
+              {range === 1 ? 'Hoy' : `${range} días`}
+            </button>
+          ))}
+        </div>
+
+        {!items ? <p>Cargando actividad...</p> : items.length === 0 ? <p className="text-sm">Sin actividad en este período.</p> : (
+          Object.entries(itemsByDay).map(([day, dayItems]) => (
+            <div key={day} className="mb-4">
+              <h4 className="font-semibold capitalize mb-2">{day}</h4>
+              <ul className="space-y-1">
+                {dayItems.map(item => (
+                  <li key={item.id} className="flex items-start gap-2 text-sm">
+                    <span className="w-12 shrink-0 text-gray-500 dark:text-gray-400">{formatTimeOfDay(item.timestamp)}</span>
+                    <span className={`shrink-0 px-2 py-0.5 rounded-full text-xs ${ACTIVITY_TYPES[item.type].className}`}>{ACTIVITY_TYPES[item.type].label}</span>
+                    <span><span className="font-medium">{item.author}</span>: {item.text}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))
+        )}
+
+        <button
+          onClick={onClose}
+          className="mt-2 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Screens with their own address, so they can be bookmarked and left with the browser's back button:
+// ?view=mes&date=2026-10-19. The day view is the default and today the default day.
+const APP_VIEWS = ['dia', 'mes', 'ajustes', 'medicamentos'];
+const DEFAULT_VIEW = 'dia';
+
+// Helper function to read the view and day from the address
+const readRoute = () => {
+  const params = new URLSearchParams(window.location.search);
+  const view = params.get('view');
+  const date = params.get('date');
+  return {
+    view: APP_VIEWS.includes(view) ? view : DEFAULT_VIEW,
+    date: date && /^\d{4}-\d{2}-\d{2}$/.test(date) ? parseFirestoreDate(date) : new Date(),
+  };
+};
+
+// Helper function to write a view and day into the current address, keeping its other parameters
+const buildRouteUrl = ({ view, date }) => {
+  const url = new URL(window.location.href);
+  if (view === DEFAULT_VIEW) {
+    url.searchParams.delete('view');
+  } else {
+    url.searchParams.set('view', view);
+  }
+  if (formatDateForFirestore(date) === formatDateForFirestore(new Date())) {
+    url.searchParams.delete('date');
+  } else {
+    url.searchParams.set('date', formatDateForFirestore(date));
+  }
+  return url.toString();
+};
+
+// Helper function to build a link to the app that opens on the given day, even once that day is past
+const buildDateLink = (date) => {
+  const url = new URL(buildRouteUrl({ view: DEFAULT_VIEW, date }));
+  url.searchParams.set('date', formatDateForFirestore(date));
+  return url.toString();
+};
+
+const SHARE_PERIODS = [
+  { value: 'dia', label: 'Día' },
+  { value: 'semana', label: 'Semana' },
+];
+
+// Helper function to summarise one day in WhatsApp-friendly text: doses per slot, readings, notes and symptoms
+const buildDaySummaryLines = ({ date, medications, record, timeSlots }) => {
+  const { doses, missed } = computeDayAdherence(medications, date, record.medicationStatus);
+  const getSlotName = (med) => (findTimeSlot(timeSlots, med.time) || { name: med.time }).name;
+  const lines = [`*${date.toLocaleDateString('es-AR', { weekday: 'long', day: 'numeric', month: 'numeric' })}* - ${doses.length - missed.length} de ${doses.length} dosis`];
+
+  sortSlotNames([...new Set(doses.map(dose => getSlotName(dose.med)))], timeSlots).forEach(slotName => {
+    const slotDoses = doses
+      .filter(dose => getSlotName(dose.med) === slotName)
+      .map(({ key, med, time }) => `${record.medicationStatus[key] ? '✅' : '❌'} ${med.name}${time ? ` ${time}` : ''}`);
+    lines.push(`${slotName}: ${slotDoses.join(', ')}`);
+  });
+  record.prnDoses.forEach(dose => {
+    const med = medications.find(candidate => candidate.id === dose.medId);
+    lines.push(`💊 ${formatTimeOfDay(dose.timestamp)} ${med ? med.name : dose.medId}${dose.reason ? ` (${dose.reason})` : ''}`);
+  });
+  record.bloodPressure.filter(bp => !bp.deleted).forEach(bp => {
+    lines.push(`🩺 ${formatTimeOfDay(bp.timestamp)} ${bp.systolic}/${bp.diastolic} mmHg${bp.pulse ? `, pulso ${bp.pulse}` : ''}`);
+  });
+  record.symptoms.forEach(symptom => {
+    lines.push(`⚠️ ${formatTimeOfDay(symptom.timestamp)} ${describeSymptom(symptom)}`);
+  });
+  record.notes.forEach(note => {
+    lines.push(`📝 ${getNoteCategory(note.category).label}: ${note.text} (${note.author})`);
+  });
+  return lines;
+};
+
+// Text summary of a day, or of the week containing it up to today, ending with a link that opens that day
+const buildShareSummary = ({ patientName, period, date, dailyRecordDocs, regimenVersions, timeSlots }) => {
+  const start = period === 'semana' ? getStartOfWeek(date) : date;
+  const dayCount = period === 'semana' ? 7 : 1;
+  const today = new Date();
+  const days = Array.from({ length: dayCount }, (_, offset) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset))
+    .filter(day => period === 'dia' || formatDateForFirestore(day) <= formatDateForFirestore(today));
+  const recordsByDate = Object.fromEntries(dailyRecordDocs.map(data => [data.date, data]));
+
+  const daySections = days.map(day => buildDaySummaryLines({
+    date: day,
+    medications: getRegimenForDate(regimenVersions, day),
+    record: readDailyRecord(recordsByDate[formatDateForFirestore(day)] || {}),
+    timeSlots,
+  }).join('\n'));
+  const title = period === 'semana'
+    ? `Resumen de la semana del ${start.toLocaleDateString('es-AR')} - ${patientName}`
+    : `Resumen del ${date.toLocaleDateString('es-AR')} - ${patientName}`;
+  return `${title}\n\n${daySections.join('\n\n')}\n\nVer en el calendario: ${buildDateLink(date)}`;
+};
+
+// Preview of the day or week summary with the ways to send it
+function ShareSummary({ period, onChangePeriod, text, onShareWhatsApp, onShareNative, onCopy, onShareLink, onClose }) {
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">Compartir resumen</h3>
+        <div className="flex gap-2 mb-4">
+          {SHARE_PERIODS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => onChangePeriod(option.value)}
+              className={`px-3 py-1 rounded-md text-sm ${period === option.value ? 'bg-indigo-500 text-white' : 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {text === null ? <p className="mb-4">Cargando registros...</p> : (
+          <pre className="mb-4 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm whitespace-pre-wrap font-sans">{text}</pre>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={onShareWhatsApp}
+            disabled={text === null}
+            className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg shadow-md disabled:opacity-50"
+          >
+            WhatsApp
+          </button>
+          {onShareNative && (
+            <button
+              onClick={onShareNative}
+              disabled={text === null}
+              className="px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md disabled:opacity-50"
+            >
+              Compartir...
+            </button>
+          )}
+          <button
+            onClick={onCopy}
+            disabled={text === null}
+            className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg shadow-md disabled:opacity-50"
+          >
+            Copiar
+          </button>
+          <button
+            onClick={onShareLink}
+            className="px-4 py-2 bg-gray-200 hover:bg-gray-300 dark:bg-gray-600 dark:hover:bg-gray-500 text-gray-800 dark:text-gray-100 rounded-lg shadow-md"
+          >
+            Enviar solo el enlace
+          </button>
+        </div>
+        <button
+          onClick={onClose}
+          className="mt-4 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Settings of the app and of the patient, in the "ajustes" view
+function SettingsPanel({ notificationPermission, onEnableReminders, digestHour, onChangeDigestHour, onEditTimeSlots, storageKind, availableBackends, onChangeStorageBackend, onClose }) {
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">Ajustes</h3>
+        <ul className="space-y-4 text-sm">
+          <li>
+            <h4 className="font-semibold mb-1">Recordatorios</h4>
+            {notificationPermission === 'granted' && <p>Activados en este dispositivo.</p>}
+            {notificationPermission === 'denied' && <p>Bloqueados. Actívalos en la configuración del navegador.</p>}
+            {notificationPermission === 'unsupported' && <p>Este navegador no permite recordatorios.</p>}
+            {notificationPermission === 'default' && (
+              <button onClick={onEnableReminders} className="px-3 py-1 bg-indigo-500 hover:bg-indigo-600 text-white rounded-md">
+                Activar recordatorios
+              </button>
+            )}
+          </li>
+          <li>
+            <h4 className="font-semibold mb-1">Resumen del día</h4>
+            <label>
+              Avisar de las dosis sin marcar a las{' '}
+              <select
+                value={digestHour}
+                disabled={!onChangeDigestHour}
+                onChange={(e) => onChangeDigestHour(Number(e.target.value))}
+                className="p-1 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600"
+              >
+                {Array.from({ length: 24 }, (_, hour) => <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>)}
+              </select>
+            </label>
+          </li>
+          {onEditTimeSlots && (
+            <li>
+              <h4 className="font-semibold mb-1">Horarios del día</h4>
+              <button onClick={onEditTimeSlots} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+                Editar horarios
+              </button>
+            </li>
+          )}
+          {onChangeStorageBackend && availableBackends.length > 1 && (
+            <li>
+              <h4 className="font-semibold mb-1">Guardar datos en</h4>
+              <select
+                value={storageKind}
+                onChange={(e) => onChangeStorageBackend(e.target.value)}
+                className="p-1 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600"
+              >
+                {availableBackends.map(kind => (
+                  <option key={kind} value={kind}>{STORAGE_BACKENDS[kind].label}</option>
+                ))}
+              </select>
+            </li>
+          )}
+        </ul>
+        <button
+          onClick={onClose}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Care instructions shown before anyone edited them: the notes that used to be fixed in the app.
+// They only seed the first patient, with fixed ids so two devices seeding at once write the same items.
+const DEFAULT_CARE_INSTRUCTIONS = [
+  { id: 'original-1', text: 'Tomar la presión **2 veces por semana** y anotarlo.', link: null },
+  { id: 'original-2', text: 'En caso de diarrea, suministrar Miopropan.', link: { type: 'medication', id: 'miopropan' } },
+  { id: 'original-3', text: 'En caso de dolor de cabeza, suministrar Naproxeno.', link: { type: 'medication', id: 'naproxeno' } },
+  { id: 'original-4', text: 'Avisar a la familia en caso de: **diarrea, fiebre, infección**.', link: null },
+];
+const CONTACT_ROLES = ['Médico', 'Familia', 'Emergencias', 'Otro'];
+const createEmptyCareInstruction = () => ({ id: '', text: '', link: null });
+const createEmptyContact = () => ({ id: '', name: '', role: 'Familia', phone: '', notes: '' });
+
+// Care instructions and contacts are per-item maps, like the daily records, so concurrent edits merge
+const readCareInstructions = (data) => {
+  // The original instructions carry no creation time, so they stay first
+  const byCreation = (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '') || a.id.localeCompare(b.id);
+  return {
+    instructions: Object.values((data && data.instructions) || {}).sort(byCreation),
+    contacts: Object.values((data && data.contacts) || {}).sort(byCreation),
+  };
+};
+
+// Render the light formatting of care instructions: **bold**, *italic* and lines starting with '- ' as a list.
+// Built from React elements, never from HTML, so what caregivers type cannot inject markup.
+const renderRichText = (text) => {
+  const renderInline = (line, lineKey) => line.split(/(\*\*[^*]+\*\*|\*[^*]+\*)/g).filter(Boolean).map((part, index) => {
+    const key = `${lineKey}-${index}`;
+    if (part.length > 4 && part.startsWith('**') && part.endsWith('**')) return <strong key={key}>{part.slice(2, -2)}</strong>;
+    if (part.length > 2 && part.startsWith('*') && part.endsWith('*')) return <em key={key}>{part.slice(1, -1)}</em>;
+    return <React.Fragment key={key}>{part}</React.Fragment>;
+  });
+  const blocks = [];
+  let listItems = [];
+  const flushList = () => {
+    if (listItems.length === 0) return;
+    blocks.push(<ul key={`list-${blocks.length}`} className="list-disc list-inside">{listItems}</ul>);
+    listItems = [];
+  };
+  text.split('\n').forEach((line, index) => {
+    const bulletMatch = line.match(/^\s*[-•]\s+(.*)$/);
+    if (bulletMatch) {
+      listItems.push(<li key={index}>{renderInline(bulletMatch[1], index)}</li>);
+      return;
+    }
+    flushList();
+    if (line.trim()) blocks.push(<p key={index}>{renderInline(line, index)}</p>);
+  });
+  flushList();
+  return blocks;
+};
+
+// Helper function to turn a phone number as typed into a tel: link
+const toTelHref = (phone) => `tel:${phone.replace(/[^\d+]/g, '')}`;
+
+// Instructions linked to a medication or a symptom type
+const getLinkedInstructions = (instructions, type, id) => instructions.filter(instruction => (
+  instruction.link && instruction.link.type === type && instruction.link.id === id
+));
+
+// The care instructions box: rich-text instructions, optionally linked to a medication or symptom,
+// and emergency contacts with tap-to-call. Caregivers edit it in place.
+function CareInstructions({ instructions, contacts, medications, canEdit, onSaveInstruction, onDeleteInstruction, onSaveContact, onDeleteContact }) {
+  const [instructionForm, setInstructionForm] = useState(null);
+  const [contactForm, setContactForm] = useState(null);
+  const textAreaRef = useRef(null);
+  const inputClassName = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100";
+
+  const describeLink = (link) => {
+    if (!link) return null;
+    if (link.type === 'symptom') return `Síntoma: ${getSymptomType(link.id).label}`;
+    const med = medications.find(candidate => candidate.id === link.id);
+    return `Medicamento: ${med ? med.name : 'ya no indicado'}`;
+  };
+
+  // Wrap the selected text in a marker, or prefix the selected lines with a bullet
+  const applyFormat = (format) => {
+    const textArea = textAreaRef.current;
+    const { text } = instructionForm;
+    const start = textArea ? textArea.selectionStart : text.length;
+    const end = textArea ? textArea.selectionEnd : text.length;
+    let updated;
+    if (format === 'list') {
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const lines = text.slice(lineStart, end).split('\n').map(line => (line.startsWith('- ') ? line : `- ${line}`));
+      updated = text.slice(0, lineStart) + lines.join('\n') + text.slice(end);
+    } else {
+      const marker = format === 'bold' ? '**' : '*';
+      updated = `${text.slice(0, start)}${marker}${text.slice(start, end) || 'texto'}${marker}${text.slice(end)}`;
+    }
+    setInstructionForm({ ...instructionForm, text: updated });
+  };
+
+  const handleSubmitInstruction = async () => {
+    if (!instructionForm.text.trim()) return;
+    if (await onSaveInstruction({ ...instructionForm, text: instructionForm.text.trim() })) setInstructionForm(null);
+  };
+
+  const handleSubmitContact = async () => {
+    if (!contactForm.name.trim() || !contactForm.phone.trim()) {
+      alert("El contacto necesita nombre y teléfono.");
+      return;
+    }
+    if (await onSaveContact({ ...contactForm, name: contactForm.name.trim(), phone: contactForm.phone.trim() })) setContactForm(null);
+  };
+
+  const attribution = (item) => (item.updatedBy
+    ? <span className="block text-xs opacity-75">Editado por {item.updatedBy} el {new Date(item.updatedAt).toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' })}</span>
+    : null);
+
+  return (
+    <div className="mb-6 p-4 bg-yellow-100 dark:bg-yellow-900 rounded-lg text-yellow-800 dark:text-yellow-200">
+      <h3 className="text-xl font-bold mb-2 text-yellow-900 dark:text-yellow-100">Notas y Consideraciones Especiales:</h3>
+      {instructions.length === 0 && <p className="text-sm">Todavía no hay indicaciones cargadas.</p>}
+      <ul className="space-y-2 text-sm sm:text-base">
+        {instructions.map(instruction => (
+          <li key={instruction.id} className="border-l-4 border-yellow-400 dark:border-yellow-600 pl-2">
+            {renderRichText(instruction.text)}
+            {instruction.link && (
+              <span className="inline-block mt-1 px-2 py-0.5 bg-yellow-200 dark:bg-yellow-800 rounded-full text-xs">{describeLink(instruction.link)}</span>
+            )}
+            {attribution(instruction)}
+            {canEdit && (
+              <span className="flex gap-3 text-xs mt-1">
+                <button onClick={() => setInstructionForm({ ...instruction })} className="hover:underline">Editar</button>
+                <button
+                  onClick={() => window.confirm("¿Eliminar esta indicación?") && onDeleteInstruction(instruction.id)}
+                  className="hover:underline text-red-700 dark:text-red-300"
+                >
+                  Eliminar
+                </button>
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {instructionForm ? (
+        <div className="mt-3 p-3 bg-white dark:bg-gray-700 rounded-lg text-gray-900 dark:text-gray-100 space-y-2">
+          <div className="flex gap-1">
+            <button type="button" onClick={() => applyFormat('bold')} className="px-2 py-1 bg-gray-200 dark:bg-gray-600 rounded font-bold text-sm">N</button>
+            <button type="button" onClick={() => applyFormat('italic')} className="px-2 py-1 bg-gray-200 dark:bg-gray-600 rounded italic text-sm">I</button>
+            <button type="button" onClick={() => applyFormat('list')} className="px-2 py-1 bg-gray-200 dark:bg-gray-600 rounded text-sm">• Lista</button>
+          </div>
+          <textarea
+            ref={textAreaRef}
+            rows="4"
+            className={inputClassName}
+            value={instructionForm.text}
+            onChange={(e) => setInstructionForm({ ...instructionForm, text: e.target.value })}
+            placeholder="Ej. Tomar la presión **2 veces por semana** y anotarla"
+          />
+          <select
+            className={inputClassName}
+            value={instructionForm.link ? `${instructionForm.link.type}:${instructionForm.link.id}` : ''}
+            onChange={(e) => {
+              const [type, ...id] = e.target.value.split(':');
+              setInstructionForm({ ...instructionForm, link: e.target.value ? { type, id: id.join(':') } : null });
+            }}
+          >
+            <option value="">Sin vincular</option>
+            <optgroup label="Medicamentos">
+              {medications.map(med => <option key={med.id} value={`medication:${med.id}`}>{med.name} - {med.time}</option>)}
+            </optgroup>
+            <optgroup label="Síntomas">
+              {SYMPTOM_TYPES.map(type => <option key={type.value} value={`symptom:${type.value}`}>{type.label}</option>)}
+            </optgroup>
+          </select>
+          <div className="flex gap-2">
+            <button onClick={handleSubmitInstruction} className="px-3 py-1 bg-indigo-500 hover:bg-indigo-600 text-white rounded-md text-sm">Guardar</button>
+            <button onClick={() => setInstructionForm(null)} className="px-3 py-1 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-md text-sm">Cancelar</button>
+          </div>
+        </div>
+      ) : canEdit && (
+        <button onClick={() => setInstructionForm(createEmptyCareInstruction())} className="mt-2 text-sm font-medium hover:underline">
+          + Añadir indicación
+        </button>
+      )}
+
+      <h4 className="text-lg font-bold mt-4 mb-2 text-yellow-900 dark:text-yellow-100">Contactos de emergencia:</h4>
+      {contacts.length === 0 && <p className="text-sm">Sin contactos cargados.</p>}
+      <ul className="space-y-2">
+        {contacts.map(contact => (
+          <li key={contact.id} className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <span className="font-semibold">{contact.name}</span> <span className="text-sm">({contact.role})</span>
+              {contact.notes && <span className="block text-sm">{contact.notes}</span>}
+              {attribution(contact)}
+            </div>
+            <div className="flex items-center gap-2">
+              <a
+                href={toTelHref(contact.phone)}
+                className="px-3 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg shadow-md text-sm"
+              >
+                Llamar {contact.phone}
+              </a>
+              {canEdit && (
+                <>
+                  <button onClick={() => setContactForm({ ...contact })} className="text-xs hover:underline">Editar</button>
+                  <button
+                    onClick={() => window.confirm(`¿Eliminar el contacto ${contact.name}?`) && onDeleteContact(contact.id)}
+                    className="text-xs hover:underline text-red-700 dark:text-red-300"
+                  >
+                    Eliminar
+                  </button>
+                </>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {contactForm ? (
+        <div className="mt-3 p-3 bg-white dark:bg-gray-700 rounded-lg text-gray-900 dark:text-gray-100 grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <input className={inputClassName} placeholder="Nombre" value={contactForm.name}
+            onChange={(e) => setContactForm({ ...contactForm, name: e.target.value })} />
+          <select className={inputClassName} value={contactForm.role} onChange={(e) => setContactForm({ ...contactForm, role: e.target.value })}>
+            {CONTACT_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <input type="tel" className={inputClassName} placeholder="Teléfono" value={contactForm.phone}
+            onChange={(e) => setContactForm({ ...contactForm, phone: e.target.value })} />
+          <input className={inputClassName} placeholder="Notas (opcional), ej. horario de atención" value={contactForm.notes}
+            onChange={(e) => setContactForm({ ...contactForm, notes: e.target.value })} />
+          <div className="flex gap-2 sm:col-span-2">
+            <button onClick={handleSubmitContact} className="px-3 py-1 bg-indigo-500 hover:bg-indigo-600 text-white rounded-md text-sm">Guardar</button>
+            <button onClick={() => setContactForm(null)} className="px-3 py-1 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-md text-sm">Cancelar</button>
+          </div>
+        </div>
+      ) : canEdit && (
+        <button onClick={() => setContactForm(createEmptyContact())} className="mt-2 text-sm font-medium hover:underline">
+          + Añadir contacto
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Admin form to create or edit a patient's name, photo, allergies and doctors
+function PatientEditor({ patient, onSave, onClose }) {
+  const [form, setForm] = useState(() => ({
+    ...createEmptyPatient(),
+    ...patient,
+    allergiesText: (patient && patient.allergies ? patient.allergies : []).join(', '),
+  }));
+  const inputClassName = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100";
+  const labelClassName = "block text-sm font-medium text-gray-700 dark:text-gray-300";
+
+  const handlePhotoChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const photoUrl = await resizeImageToDataUrl(file);
+      setForm(prev => ({ ...prev, photoUrl }));
+    } catch (error) {
+      console.error("Error reading patient photo:", error);
+      alert("No se pudo cargar la foto. Prueba con otra imagen.");
+    }
+  };
+
+  const updateDoctor = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      doctors: prev.doctors.map((doctor, i) => (i === index ? { ...doctor, [field]: value } : doctor)),
+    }));
+  };
+
+  const handleSave = () => {
+    if (!form.name.trim()) {
+      alert("El nombre del paciente es obligatorio.");
+      return;
+    }
+    onSave({
+      name: form.name.trim(),
+      photoUrl: form.photoUrl || '',
+      allergies: form.allergiesText.split(',').map(allergy => allergy.trim()).filter(Boolean),
+      doctors: form.doctors
+        .map(doctor => ({ name: doctor.name.trim(), specialty: doctor.specialty.trim(), phone: doctor.phone.trim() }))
+        .filter(doctor => doctor.name),
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-center text-indigo-700 dark:text-indigo-400">
+          {patient ? 'Editar Paciente' : 'Nuevo Paciente'}
+        </h3>
+        <div className="space-y-3">
+          <div>
+            <label className={labelClassName}>Nombre</label>
+            <input type="text" className={inputClassName} value={form.name} placeholder="ej. Mamá, Tío Carlos"
+              onChange={(e) => setForm({ ...form, name: e.target.value })} />
+          </div>
+          <div>
+            <label className={labelClassName}>Foto</label>
+            <div className="flex items-center gap-3">
+              {form.photoUrl && <img src={form.photoUrl} alt="" className="w-16 h-16 rounded-full object-cover" />}
+              <input type="file" accept="image/*" onChange={handlePhotoChange} className="text-sm" />
+              {form.photoUrl && (
+                <button onClick={() => setForm({ ...form, photoUrl: '' })} className="text-sm text-red-600 hover:underline">
+                  Quitar
+                </button>
+              )}
+            </div>
+          </div>
+          <div>
+            <label className={labelClassName}>Alergias (separadas por coma)</label>
+            <input type="text" className={inputClassName} value={form.allergiesText} placeholder="ej. Penicilina, Ibuprofeno"
+              onChange={(e) => setForm({ ...form, allergiesText: e.target.value })} />
+          </div>
+          <div>
+            <label className={labelClassName}>Médicos</label>
+            {form.doctors.map((doctor, index) => (
+              <div key={index} className="grid grid-cols-1 sm:grid-cols-4 gap-2 mb-2">
+                <input type="text" className={inputClassName} placeholder="Nombre" value={doctor.name}
+                  onChange={(e) => updateDoctor(index, 'name', e.target.value)} />
+                <input type="text" className={inputClassName} placeholder="Especialidad" value={doctor.specialty}
+                  onChange={(e) => updateDoctor(index, 'specialty', e.target.value)} />
+                <input type="tel" className={inputClassName} placeholder="Teléfono" value={doctor.phone}
+                  onChange={(e) => updateDoctor(index, 'phone', e.target.value)} />
+                <button
+                  onClick={() => setForm({ ...form, doctors: form.doctors.filter((_, i) => i !== index) })}
+                  className="px-2 py-1 bg-red-500 hover:bg-red-600 text-white text-sm rounded-md"
+                >
+                  Quitar
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setForm({ ...form, doctors: [...form.doctors, { name: '', specialty: '', phone: '' }] })}
+              className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+            >
+              + Agregar médico
+            </button>
+          </div>
+        </div>
+        <div className="flex justify-end gap-2 mt-6">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md">
+            Cancelar
+          </button>
+          <button onClick={handleSave} className="px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md">
+            Guardar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Helper function to summarize a list of numbers as min, max and rounded average (null when empty)
+const summarizeValues = (values) => {
+  if (values.length === 0) return null;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    average: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+  };
+};
+
+const formatPercent = (ratio) => (ratio === null ? '-' : `${Math.round(ratio * 100)}%`);
+
+// Gather everything the doctor needs for a date range from the daily records in that range.
+// Days after today are left out of the adherence figures since nothing could be given yet.
+const buildMedicalReport = ({ from, to, patient, regimenVersions, dailyRecordDocs }) => {
+  const recordsByDate = Object.fromEntries(dailyRecordDocs.map(data => [data.date, readDailyRecord(data)]));
+  const latestVersion = regimenVersions[regimenVersions.length - 1];
+  const allMedications = regimenVersions.flatMap(version => version.medications);
+  const getMedicationName = (medId) => (allMedications.find(med => med.id === medId) || { name: medId }).name;
+
+  const adherenceByMed = {};
+  const lastDay = parseFirestoreDate(to < formatDateForFirestore(new Date()) ? to : formatDateForFirestore(new Date()));
+  for (let date = parseFirestoreDate(from); date <= lastDay; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+    const record = recordsByDate[formatDateForFirestore(date)];
+    const { doses } = computeDayAdherence(getRegimenForDate(regimenVersions, date), date);
+    doses.forEach(({ key, med }) => {
+      const entry = adherenceByMed[med.id] || { medId: med.id, name: med.name, scheduled: 0, taken: 0 };
+      entry.scheduled += 1;
+      if (record && record.medicationStatus[key]) entry.taken += 1;
+      adherenceByMed[med.id] = entry;
+    });
+  }
+  const adherence = Object.values(adherenceByMed)
+    .map(entry => ({ ...entry, ratio: entry.scheduled > 0 ? entry.taken / entry.scheduled : null }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+  const totals = adherence.reduce((sum, entry) => ({
+    scheduled: sum.scheduled + entry.scheduled,
+    taken: sum.taken + entry.taken,
+  }), { scheduled: 0, taken: 0 });
+
+  const regimen = latestVersion ? latestVersion.medications : [];
+  const readings = collectBloodPressureReadings(dailyRecordDocs);
+  const withDate = (field) => Object.entries(recordsByDate)
+    .flatMap(([date, record]) => record[field].map(item => ({ ...item, date })))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return {
+    from,
+    to,
+    patient,
+    generatedAt: new Date().toISOString(),
+    regimen,
+    ingredientTotals: computeIngredientTotals(regimen),
+    adherence,
+    overallAdherence: totals.scheduled > 0 ? totals.taken / totals.scheduled : null,
+    bloodPressure: {
+      readings,
+      systolic: summarizeValues(readings.map(bp => bp.systolic)),
+      diastolic: summarizeValues(readings.map(bp => bp.diastolic)),
+      pulse: summarizeValues(readings.filter(bp => bp.pulse).map(bp => bp.pulse)),
+    },
+    prnDoses: withDate('prnDoses').map(dose => ({ ...dose, medName: getMedicationName(dose.medId) })),
+    symptoms: withDate('symptoms'),
+    notes: withDate('notes').filter(note => note.relevant),
+  };
+};
+
+// Helper function to describe a medication of the regimen in one line, for the report
+const describeRegimenMedication = (med) => [
+  describeDose(med),
+  med.times && med.times.length > 0 ? med.times.join(', ') : med.time,
+  describeRecurrence(med.recurrence),
+].filter(Boolean).join(' - ');
+
+const describeSymptom = (symptom) => [
+  getSymptomType(symptom.type).label,
+  symptom.severity,
+  symptom.temperature ? `${symptom.temperature} °C` : '',
+  symptom.details,
+].filter(Boolean).join(', ');
+
+const formatReportDateTime = (timestamp) => new Date(timestamp).toLocaleString('es-AR', {
+  day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+// Write the report as an A4 PDF with plain text sections, adding pages as needed
+const downloadReportPdf = (report) => {
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const margin = 15;
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const lineWidth = pdf.internal.pageSize.getWidth() - margin * 2;
+  let y = margin;
+
+  const write = (text, { size = 10, bold = false, gap = 1 } = {}) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(size);
+    pdf.splitTextToSize(text, lineWidth).forEach(line => {
+      if (y + size * 0.4 > pageHeight - margin) {
+        pdf.addPage();
+        y = margin;
+      }
+      pdf.text(line, margin, y);
+      y += size * 0.45;
+    });
+    y += gap;
+  };
+  const section = (title) => {
+    y += 3;
+    write(title, { size: 13, bold: true, gap: 2 });
+  };
+  const formatRange = (label, stats, unit) => (stats
+    ? `${label}: mín ${stats.min}, máx ${stats.max}, promedio ${stats.average} ${unit}`
+    : `${label}: sin datos`);
+
+  write(`Informe de ${report.patient.name}`, { size: 18, bold: true, gap: 2 });
+  write(`Del ${parseFirestoreDate(report.from).toLocaleDateString('es-AR')} al ${parseFirestoreDate(report.to).toLocaleDateString('es-AR')}`);
+  if (report.patient.allergies.length > 0) write(`Alergias: ${report.patient.allergies.join(', ')}`, { bold: true });
+
+  section('Tratamiento actual');
+  report.regimen.forEach(med => write(`- ${med.name}: ${describeRegimenMedication(med)}`));
+  if (report.ingredientTotals.length > 0) {
+    write('Total diario por principio activo:', { bold: true });
+    report.ingredientTotals.forEach(entry => write(`- ${entry.name}: ${describeIngredientTotal(entry)}`));
+  }
+
+  section(`Adherencia (total ${formatPercent(report.overallAdherence)})`);
+  if (report.adherence.length === 0) write('Sin dosis programadas en el período.');
+  report.adherence.forEach(entry => write(`- ${entry.name}: ${formatPercent(entry.ratio)} (${entry.taken} de ${entry.scheduled} dosis)`));
+
+  section('Presión arterial');
+  write(formatRange('Sistólica', report.bloodPressure.systolic, 'mmHg'));
+  write(formatRange('Diastólica', report.bloodPressure.diastolic, 'mmHg'));
+  write(formatRange('Pulso', report.bloodPressure.pulse, 'lpm'), { gap: 2 });
+  report.bloodPressure.readings.forEach(bp => write(
+    `• ${formatReportDateTime(bp.timestamp)}: ${bp.systolic}/${bp.diastolic}${bp.pulse ? `, pulso ${bp.pulse}` : ''}${bp.arm ? `, brazo ${bp.arm.toLowerCase()}` : ''}${bp.position ? `, ${bp.position.toLowerCase()}` : ''}`
+  ));
+
+  section('Dosis según necesidad');
+  if (report.prnDoses.length === 0) write('Ninguna.');
+  report.prnDoses.forEach(dose => write(`- ${formatReportDateTime(dose.timestamp)}: ${dose.medName}${dose.reason ? ` (${dose.reason})` : ''}`));
+
+  section('Síntomas y eventos');
+  if (report.symptoms.length === 0) write('Ninguno.');
+  report.symptoms.forEach(symptom => write(`- ${formatReportDateTime(symptom.timestamp)}: ${describeSymptom(symptom)}`));
+
+  section('Notas relevantes');
+  if (report.notes.length === 0) write('Ninguna.');
+  report.notes.forEach(note => write(`- ${formatReportDateTime(note.timestamp)} (${note.author}): ${note.text}`));
+
+  pdf.save(`informe-${normalizeText(report.patient.name).replace(/\s+/g, '-')}-${report.from}-${report.to}.pdf`);
+};
+
+// Report for medical appointments over a chosen date range, printable or downloadable as PDF
+function MedicalReport({ range, report, onChangeRange, onClose }) {
+  const inputClassName = "p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100";
+  const sectionTitleClassName = "text-lg font-bold mt-6 mb-2 text-indigo-700 dark:text-indigo-400 print:text-black border-b border-gray-300 pb-1";
+  const formatRange = (stats, unit) => (stats ? `${stats.min} - ${stats.max} ${unit} (promedio ${stats.average})` : 'Sin datos');
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-[60] p-4 print:static print:bg-white print:p-0">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto print:max-h-none print:shadow-none print:text-black print:bg-white">
+        <div className="flex flex-wrap items-end gap-2 mb-4 print:hidden">
+          <label className="text-sm">
+            Desde
+            <input type="date" className={`${inputClassName} block`} value={range.from} max={range.to}
+              onChange={(e) => onChangeRange({ ...range, from: e.target.value })} />
+          </label>
+          <label className="text-sm">
+            Hasta
+            <input type="date" className={`${inputClassName} block`} value={range.to} min={range.from}
+              onChange={(e) => onChangeRange({ ...range, to: e.target.value })} />
+          </label>
+        </div>
+
+        {!report ? (
+          <p className="text-center py-8">Cargando registros...</p>
+        ) : (
+          <div className="text-sm">
+            <h3 className="text-2xl font-bold">Informe de {report.patient.name}</h3>
+            <p>
+              Del {parseFirestoreDate(report.from).toLocaleDateString('es-AR')} al {parseFirestoreDate(report.to).toLocaleDateString('es-AR')}
+              {' '}- generado el {formatReportDateTime(report.generatedAt)}
+            </p>
+            {report.patient.allergies.length > 0 && (
+              <p className="mt-1 font-semibold text-red-700 print:text-black">Alergias: {report.patient.allergies.join(', ')}</p>
+            )}
+
+            <h4 className={sectionTitleClassName}>Tratamiento actual</h4>
+            <ul className="list-disc list-inside">
+              {report.regimen.map(med => (
+                <li key={med.id}><span className="font-medium">{med.name}</span>: {describeRegimenMedication(med)}</li>
+              ))}
+            </ul>
+            {report.ingredientTotals.length > 0 && (
+              <>
+                <p className="mt-2 font-semibold">Total diario por principio activo:</p>
+                <ul className="list-disc list-inside">
+                  {report.ingredientTotals.map(entry => (
+                    <li key={entry.id}><span className="font-medium">{entry.name}</span>: {describeIngredientTotal(entry)}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <h4 className={sectionTitleClassName}>Adherencia (total {formatPercent(report.overallAdherence)})</h4>
+            {report.adherence.length === 0 ? <p>Sin dosis programadas en el período.</p> : (
+              <table className="w-full text-left">
+                <thead>
+                  <tr><th>Medicamento</th><th>Dosis dadas</th><th>Adherencia</th></tr>
+                </thead>
+                <tbody>
+                  {report.adherence.map(entry => (
+                    <tr key={entry.medId} className="border-t border-gray-200 dark:border-gray-700">
+                      <td>{entry.name}</td>
+                      <td>{entry.taken} de {entry.scheduled}</td>
+                      <td className={entry.ratio !== null && entry.ratio < 0.8 ? 'font-bold text-red-700 print:text-black' : ''}>{formatPercent(entry.ratio)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <h4 className={sectionTitleClassName}>Presión arterial ({report.bloodPressure.readings.length} mediciones)</h4>
+            <p>Sistólica: {formatRange(report.bloodPressure.systolic, 'mmHg')}</p>
+            <p>Diastólica: {formatRange(report.bloodPressure.diastolic, 'mmHg')}</p>
+            <p>Pulso: {formatRange(report.bloodPressure.pulse, 'lpm')}</p>
+            {report.bloodPressure.readings.length > 0 && (
+              <table className="w-full text-left mt-2">
+                <thead>
+                  <tr><th>Fecha</th><th>Presión</th><th>Pulso</th><th>Brazo / posición</th></tr>
+                </thead>
+                <tbody>
+                  {report.bloodPressure.readings.map(bp => (
+                    <tr key={`${bp.date}-${bp.id}`} className="border-t border-gray-200 dark:border-gray-700">
+                      <td>{formatReportDateTime(bp.timestamp)}</td>
+                      <td>{bp.systolic}/{bp.diastolic}</td>
+                      <td>{bp.pulse || '-'}</td>
+                      <td>{[bp.arm, bp.position].filter(Boolean).join(' / ') || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <h4 className={sectionTitleClassName}>Dosis según necesidad</h4>
+            {report.prnDoses.length === 0 ? <p>Ninguna.</p> : (
+              <ul className="list-disc list-inside">
+                {report.prnDoses.map(dose => (
+                  <li key={`${dose.date}-${dose.id}`}>
+                    {formatReportDateTime(dose.timestamp)}: <span className="font-medium">{dose.medName}</span>
+                    {dose.reason && ` (${dose.reason})`}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h4 className={sectionTitleClassName}>Síntomas y eventos</h4>
+            {report.symptoms.length === 0 ? <p>Ninguno.</p> : (
+              <ul className="list-disc list-inside">
+                {report.symptoms.map(symptom => (
+                  <li key={`${symptom.date}-${symptom.id}`}>{formatReportDateTime(symptom.timestamp)}: {describeSymptom(symptom)}</li>
+                ))}
+              </ul>
+            )}
+
+            <h4 className={sectionTitleClassName}>Notas relevantes</h4>
+            {report.notes.length === 0 ? <p>Ninguna. Marca las notas importantes con "Relevante" para que aparezcan aquí.</p> : (
+              <ul className="list-disc list-inside">
+                {report.notes.map(note => (
+                  <li key={`${note.date}-${note.id}`}>{formatReportDateTime(note.timestamp)} ({note.author}): {note.text}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-2 mt-6 print:hidden">
+          <button
+            onClick={() => window.print()}
+            disabled={!report}
+            className="flex-1 px-4 py-2 bg-indigo-500 hover:bg-indigo-600 disabled:opacity-50 text-white rounded-lg shadow-md"
+          >
+            Imprimir
+          </button>
+          <button
+            onClick={() => downloadReportPdf(report)}
+            disabled={!report}
+            className="flex-1 px-4 py-2 bg-indigo-500 hover:bg-indigo-600 disabled:opacity-50 text-white rounded-lg shadow-md"
+          >
+            Descargar PDF
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+          >
+            Cerrar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Versioned backup of every patient (the regimen, settings, stock, care instructions and every daily record with its
+// lists already parsed, so the file can be read without Firestore) and of the caregiver profiles.
+// Version 1 files held a single patient at the top level; they can still be imported.
+const BACKUP_FORMAT = 'medication-calendar-backup';
+const BACKUP_VERSION = 2;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper function to offer a generated file as a download
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right away can cancel the download in some browsers, above all with several files in a row
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Helper function to build CSV text; the BOM makes Excel read the accents correctly
+const toCsv = (header, rows) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `\uFEFF${[header, ...rows].map(row => row.map(escape).join(',')).join('\n')}`;
+};
+
+// One row per scheduled dose of each recorded day, with who checked it
+const buildDosesCsv = (patientBackup) => {
+  const versions = sortRegimenVersions(patientBackup.regimenVersions);
+  const rows = patientBackup.dailyRecords.flatMap(record => {
+    const date = parseFirestoreDate(record.date);
+    const { doses } = computeDayAdherence(getRegimenForDate(versions, date), date, record.medicationStatus);
+    return doses.map(({ key, med, time }) => {
+      const given = !!record.medicationStatus[key];
+      const entry = getLatestLogEntry(record.medicationLog, key);
+      return [record.date, time || med.time, med.name, describeDose(med), given ? 'Sí' : 'No',
+        entry ? entry.author : '', entry ? entry.timestamp : '', entry ? entry.comment : ''];
+    });
+  });
+  return toCsv(['fecha', 'hora', 'medicamento', 'dosis', 'dada', 'registrado_por', 'registrado_el', 'comentario'], rows);
 };
 
-// Helper function to get the last Tuesday of a given month/year
-const getLastTuesdayOfMonth = (year, month) => {
-  const lastDayOfMonth = new Date(year, month + 1, 0); // Last day of the current month
-  let lastTuesday = new Date(lastDayOfMonth);
+const buildBloodPressureCsv = (patientBackup) => toCsv(
+  ['fecha', 'hora', 'sistolica', 'diastolica', 'pulso', 'brazo', 'posicion', 'registrado_por', 'eliminada'],
+  patientBackup.dailyRecords.flatMap(record => record.bloodPressure.map(bp => [
+    record.date, formatTimeOfDay(bp.timestamp), bp.systolic, bp.diastolic, bp.pulse, bp.arm, bp.position, bp.author, bp.deleted ? 'Sí' : '',
+  ]))
+);
+
+const buildNotesCsv = (patientBackup) => toCsv(
+  ['fecha', 'hora', 'categoria', 'autor', 'relevante', 'texto'],
+  patientBackup.dailyRecords.flatMap(record => record.notes.map(note => [
+    record.date, formatTimeOfDay(note.timestamp), getNoteCategory(note.category).label, note.author, note.relevant ? 'Sí' : '', note.text,
+  ]))
+);
+
+// Helper function to list the patients of a backup; a version 1 file is itself the backup of its one patient
+const getBackupPatients = (backup) => (backup.version === 1 ? [backup] : backup.patients);
+
+// Check one patient of a backup; returns an error message or null
+const validatePatientBackup = (patientBackup) => {
+  if (!patientBackup || !patientBackup.patient || typeof patientBackup.patient.name !== 'string') return 'Falta el paciente en la copia.';
+  if (!Array.isArray(patientBackup.regimenVersions) || !Array.isArray(patientBackup.dailyRecords)) {
+    return 'Faltan el tratamiento o los registros diarios.';
+  }
+  // Entries may be null or of any type in a hand-edited file, so each one is checked before reading it
+  const badVersion = patientBackup.regimenVersions.findIndex(version => !version || !version.id
+    || !DATE_KEY_PATTERN.test(version.effectiveFrom) || !Array.isArray(version.medications));
+  if (badVersion !== -1) {
+    return `Versión de tratamiento inválida: ${(patientBackup.regimenVersions[badVersion] || {}).id || `n.º ${badVersion + 1}`}.`;
+  }
+
+  const listFields = Object.keys(DAILY_ITEM_FIELDS);
+  const badRecord = patientBackup.dailyRecords.findIndex(record => !record || !DATE_KEY_PATTERN.test(record.date)
+    || !record.medicationStatus || typeof record.medicationStatus !== 'object'
+    || listFields.some(field => !Array.isArray(record[field]) || record[field].some(item => !item || !item.id)));
+  if (badRecord !== -1) {
+    return `Registro diario inválido: ${(patientBackup.dailyRecords[badRecord] || {}).date || `n.º ${badRecord + 1}`}.`;
+  }
+  return null;
+};
 
-  // Iterate backwards from the last day to find the last Tuesday
-  while (lastTuesday.getDay() !== 2) { // 2 = Tuesday
-    lastTuesday.setDate(lastTuesday.getDate() - 1);
+// Check that a parsed file is a backup this version can restore; returns an error message or null
+const validateBackup = (backup) => {
+  if (!backup || backup.format !== BACKUP_FORMAT) return 'El archivo no es una copia de seguridad del calendario.';
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return 'La copia fue creada por una versión más nueva de la app.';
+  }
+  const patients = getBackupPatients(backup);
+  if (!Array.isArray(patients) || patients.length === 0) return 'La copia no tiene pacientes.';
+  if (backup.version > 1 && (!Array.isArray(backup.caregivers) || backup.caregivers.some(caregiver => !caregiver || !caregiver.uid))) {
+    return 'La lista de cuidadores de la copia es inválida.';
   }
-  return lastTuesday;
+  for (const patientBackup of patients) {
+    const error = validatePatientBackup(patientBackup);
+    if (error) return patients.length > 1 && patientBackup && patientBackup.patient ? `${patientBackup.patient.name}: ${error}` : error;
+  }
+  return null;
+};
+
+// Work out which regimen versions, days and entries of a patient's backup are missing from the existing data.
+// Existing entries always win, so importing the same file twice changes nothing.
+const planBackupImport = (patientBackup, existing) => {
+  const versionsToAdd = patientBackup.regimenVersions.filter(version => !existing.versionIds.includes(version.id));
+
+  const recordChanges = patientBackup.dailyRecords.map(record => {
+    const current = existing.records[record.date];
+    const items = toDailyRecordItems(record);
+    if (current) {
+      const currentItems = toDailyRecordItems(current);
+      Object.keys(items).forEach(field => {
+        items[field] = Object.fromEntries(Object.entries(items[field]).filter(([key]) => !(key in currentItems[field])));
+      });
+    }
+    const addedCount = Object.values(items).reduce((sum, fieldItems) => sum + Object.keys(fieldItems).length, 0);
+    return { date: record.date, isNew: !current, items, addedCount };
+  }).filter(change => change.addedCount > 0);
+
+  return {
+    versionsToAdd,
+    recordChanges,
+    newDays: recordChanges.filter(change => change.isNew).length,
+    mergedDays: recordChanges.filter(change => !change.isNew).length,
+    addedEntries: recordChanges.reduce((sum, change) => sum + change.addedCount, 0),
+    restoresSettings: !!(patientBackup.settings && patientBackup.settings.bloodPressure) && !existing.hasBloodPressureSettings,
+    restoresTimeSlots: !!(patientBackup.settings && patientBackup.settings.timeSlots) && !existing.hasTimeSlots,
+    restoresInventory: !!patientBackup.inventory && !existing.hasInventory,
+    restoresCareInstructions: !!patientBackup.careInstructions && !existing.hasCareInstructions,
+  };
+};
+
+const EMPTY_IMPORT_TARGET = {
+  versionIds: [], records: {}, hasBloodPressureSettings: false, hasTimeSlots: false, hasInventory: false, hasCareInstructions: false,
+};
+
+// Helper function to preview importing one patient of a backup, merged into the selected patient or as a new one
+const previewBackupImport = (backup, existing, patientIndex) => {
+  const patientBackup = getBackupPatients(backup)[patientIndex];
+  return {
+    backup,
+    existing,
+    patientIndex,
+    plans: { merge: planBackupImport(patientBackup, existing), newPatient: planBackupImport(patientBackup, EMPTY_IMPORT_TARGET) },
+  };
+};
+
+// Read everything stored for a patient into the backup format
+const fetchPatientBackup = async (patient) => {
+  const patientPath = getPatientPath(patient.id);
+  const [versions, records, bloodPressureSettings, timeSlots, inventory, careInstructions] = await Promise.all([
+    storage.getCollection(`${patientPath}/regimenVersions`),
+    storage.getCollection(`${patientPath}/dailyRecords`),
+    storage.getDoc(`${patientPath}/settings/bloodPressure`),
+    storage.getDoc(`${patientPath}/settings/timeSlots`),
+    storage.getDoc(`${patientPath}/inventory/stock`),
+    storage.getDoc(`${patientPath}/careInstructions/current`),
+  ]);
+  return {
+    patient,
+    regimenVersions: sortRegimenVersions(versions.map(({ id, data }) => ({ ...data, id }))),
+    settings: { bloodPressure: bloodPressureSettings, timeSlots },
+    inventory,
+    careInstructions,
+    dailyRecords: records
+      .map(({ id, data }) => ({ date: id, ...readDailyRecord(data) }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+  };
+};
+
+// Read every patient and the caregiver profiles into one backup file
+const fetchFullBackup = async (patients, exportedBy) => {
+  const [patientBackups, caregiverDocs] = await Promise.all([
+    Promise.all(patients.map(patient => fetchPatientBackup(patient))),
+    storage.getCollection(`artifacts/${appId}/public/data/caregivers`),
+  ]);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    caregivers: caregiverDocs.map(({ id, data }) => ({ ...data, uid: id })),
+    patients: patientBackups,
+  };
+};
+
+// Export and import of backups. Import is limited to admins and always asks for confirmation.
+function BackupManager({ canImport, patientName, importState, onExportJson, onExportCsv, onPickFile, onSelectImportPatient, onApplyImport, onCancelImport, onClose }) {
+  const [mode, setMode] = useState('merge');
+  const plan = importState && importState.plans ? importState.plans[mode] : null;
+  const backupPatients = plan ? getBackupPatients(importState.backup) : [];
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h3 className="text-2xl font-bold mb-4 text-center text-indigo-700 dark:text-indigo-400">Copia de seguridad</h3>
+
+        <h4 className="font-semibold mb-2">Exportar datos</h4>
+        <div className="flex flex-wrap gap-2 mb-6">
+          <button onClick={onExportJson} className="px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md">
+            Copia completa de todos los pacientes (JSON)
+          </button>
+          <button onClick={onExportCsv} className="px-4 py-2 bg-indigo-100 hover:bg-indigo-200 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-200 rounded-lg shadow-sm">
+            Planillas de {patientName} (CSV)
+          </button>
+        </div>
+
+        {canImport && (
+          <>
+            <h4 className="font-semibold mb-2">Importar una copia</h4>
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => e.target.files[0] && onPickFile(e.target.files[0])}
+              className="text-sm mb-3"
+            />
+            {importState && importState.error && (
+              <p className="text-sm text-red-600 dark:text-red-400 mb-3">{importState.error}</p>
+            )}
+            {importState && importState.loading && <p className="text-sm mb-3">Analizando la copia...</p>}
+            {plan && (
+              <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm space-y-2">
+                <p>
+                  Copia del {new Date(importState.backup.exportedAt).toLocaleString('es-AR')} con {backupPatients.length} paciente(s).
+                  {importState.backup.caregivers && ` Incluye ${importState.backup.caregivers.length} cuidador(es) y sus permisos como referencia; no se restauran.`}
+                </p>
+                {backupPatients.length > 1 && (
+                  <label className="block">
+                    Paciente a restaurar:{' '}
+                    <select
+                      value={importState.patientIndex}
+                      onChange={(e) => onSelectImportPatient(Number(e.target.value))}
+                      className="p-1 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                    >
+                      {backupPatients.map((patientBackup, index) => (
+                        <option key={index} value={index}>{patientBackup.patient.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <div className="flex flex-col gap-1">
+                  <label>
+                    <input type="radio" className="mr-2" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                    Combinar con {patientName} (lo existente no se modifica)
+                  </label>
+                  <label>
+                    <input type="radio" className="mr-2" checked={mode === 'newPatient'} onChange={() => setMode('newPatient')} />
+                    Restaurar como paciente nuevo
+                  </label>
+                </div>
+                <ul className="list-disc list-inside">
+                  <li>{plan.versionsToAdd.length} versiones del tratamiento a agregar</li>
+                  <li>{plan.newDays} días nuevos y {plan.mergedDays} días a completar</li>
+                  <li>{plan.addedEntries} registros en total (dosis, notas, presión, síntomas)</li>
+                  {plan.restoresSettings && <li>Rangos de presión</li>}
+                  {plan.restoresTimeSlots && <li>Horarios del día</li>}
+                  {plan.restoresInventory && <li>Stock de medicamentos</li>}
+                  {plan.restoresCareInstructions && <li>Indicaciones y contactos de emergencia</li>}
+                </ul>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => onApplyImport(mode)}
+                    className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg shadow-md"
+                  >
+                    Importar
+                  </button>
+                  <button onClick={onCancelImport} className="flex-1 px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md">
+                    Descartar
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        <button
+          onClick={onClose}
+          className="mt-6 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+        >
+          Cerrar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Sync states shown in the corner badge, worst first
+const SYNC_STATUSES = {
+  error: { label: 'Error al guardar', className: 'bg-red-600 text-white' },
+  pending: { label: 'Pendiente', className: 'bg-yellow-400 text-yellow-900' },
+  saved: { label: 'Guardado', className: 'bg-green-600 text-white' },
 };
 
+// Corner badge telling caregivers whether their changes reached the server
+function SyncIndicator({ isOnline, pendingWrites, failedWrites, onRetry }) {
+  const [showDetails, setShowDetails] = useState(false);
+  const status = failedWrites.length > 0 ? 'error' : (pendingWrites > 0 || !isOnline ? 'pending' : 'saved');
+  const { label, className } = SYNC_STATUSES[status];
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 flex print:hidden flex-col items-end gap-2">
+      {showDetails && (
+        <div className="w-72 p-4 bg-white dark:bg-gray-800 rounded-lg shadow-xl text-sm text-gray-800 dark:text-gray-100">
+          {!isOnline && (
+            <p className="mb-2">Sin conexión. Los cambios se guardan en este dispositivo y se envían al volver la conexión.</p>
+          )}
+          {pendingWrites > 0 && <p className="mb-2">{pendingWrites} cambio(s) esperando confirmación del servidor.</p>}
+          {failedWrites.length > 0 && (
+            <>
+              <p className="mb-1 font-semibold text-red-700 dark:text-red-300">No se pudieron guardar:</p>
+              <ul className="mb-3 list-disc list-inside">
+                {failedWrites.map(failedWrite => <li key={failedWrite.id}>{failedWrite.label}</li>)}
+              </ul>
+              <button
+                onClick={onRetry}
+                className="w-full px-3 py-1 bg-indigo-500 hover:bg-indigo-600 text-white rounded-md"
+              >
+                Reintentar
+              </button>
+            </>
+          )}
+          {status === 'saved' && <p>Todos los cambios están guardados.</p>}
+        </div>
+      )}
+      <button
+        onClick={() => setShowDetails(!showDetails)}
+        className={`px-3 py-1 rounded-full shadow-md text-sm font-semibold ${className}`}
+      >
+        {label}{!isOnline && ' · sin conexión'}
+      </button>
+    </div>
+  );
+}
+
 // Main App component
 function App() {
-  const [currentDate, setCurrentDate] = useState(new Date());
+  const [currentDate, setCurrentDate] = useState(() => readRoute().date);
+  const [view, setView] = useState(() => readRoute().view);
   const [medicationStatus, setMedicationStatus] = useState({});
+  const [medicationLog, setMedicationLog] = useState([]);
   const [notes, setNotes] = useState([]);
   const [bloodPressure, setBloodPressure] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [authUser, setAuthUser] = useState(undefined); // undefined while unknown, null when signed out
+  const [caregiverProfile, setCaregiverProfile] = useState(undefined); // null when the user has no profile yet
+  const [caregivers, setCaregivers] = useState([]);
+  const [showCaregiverManager, setShowCaregiverManager] = useState(false);
+  const [patients, setPatients] = useState(null); // null until the patient list has loaded
+  const [patientId, setPatientId] = useState(getInitialPatientId);
+  const [patientEditor, setPatientEditor] = useState(null); // { patient } while the editor is open; patient is null for a new one
   const [userName, setUserName] = useState('');
   const [showNameInput, setShowNameInput] = useState(false);
   const [showShareMessage, setShowShareMessage] = useState(false);
-  const [medicationDefinitions, setMedicationDefinitions] = useState([]);
-  const [showManageMedications, setShowManageMedications] = useState(false);
-  const [newMedication, setNewMedication] = useState({ id: '', name: '', dosage: '', time: '', frequency: '' });
+  const [regimenVersions, setRegimenVersions] = useState([]);
+  const [showRegimenChangelog, setShowRegimenChangelog] = useState(false);
+  const [regimenChange, setRegimenChange] = useState({ effectiveFrom: formatDateForFirestore(new Date()), reason: '' });
+  const [newMedication, setNewMedication] = useState(createEmptyMedication());
   const [editMedicationId, setEditMedicationId] = useState(null);
+  const [historyDoseKey, setHistoryDoseKey] = useState(null);
+  const [historyComment, setHistoryComment] = useState('');
+  const [adherenceRecords, setAdherenceRecords] = useState({});
+  const [showBloodPressureTrend, setShowBloodPressureTrend] = useState(false);
+  const [bloodPressureRangeDays, setBloodPressureRangeDays] = useState(30);
+  const [bloodPressureTrend, setBloodPressureTrend] = useState([]);
+  const [bloodPressureTargets, setBloodPressureTargets] = useState(DEFAULT_BLOOD_PRESSURE_TARGETS);
+  const [careInstructions, setCareInstructions] = useState(readCareInstructions(null));
+  const [timeSlots, setTimeSlots] = useState(DEFAULT_TIME_SLOTS);
+  const [showTimeSlotManager, setShowTimeSlotManager] = useState(false);
+  const [now, setNow] = useState(new Date());
+  const [showActivityFeed, setShowActivityFeed] = useState(false);
+  const [activityDays, setActivityDays] = useState(1);
+  const [activityRecords, setActivityRecords] = useState(null);
+  const [digestHour, setDigestHour] = useState(DEFAULT_DIGEST_HOUR);
+  const [showShareSummary, setShowShareSummary] = useState(false);
+  const [sharePeriod, setSharePeriod] = useState('dia');
+  const [shareRecords, setShareRecords] = useState(null);
+  const [weeklyBloodPressureCount, setWeeklyBloodPressureCount] = useState(0);
+  const [bloodPressureForm, setBloodPressureForm] = useState(createEmptyBloodPressureForm());
+  const [bloodPressureError, setBloodPressureError] = useState('');
+  const [editBloodPressureId, setEditBloodPressureId] = useState(null);
+  const [newNoteCategory, setNewNoteCategory] = useState('general');
+  const [notesFilter, setNotesFilter] = useState('all');
+  const [editNoteId, setEditNoteId] = useState(null);
+  const [editNoteDraft, setEditNoteDraft] = useState({ text: '', category: 'general' });
+  const [moveNoteId, setMoveNoteId] = useState(null);
+  const [moveNoteDate, setMoveNoteDate] = useState('');
+  const [todayRecord, setTodayRecord] = useState({ date: null, medicationStatus: {}, symptoms: [] });
+  const [reminderSources, setReminderSources] = useState({}); // patient id -> what that patient's reminders need
+  const [symptoms, setSymptoms] = useState([]);
+  const [symptomForm, setSymptomForm] = useState(createEmptySymptomForm());
+  const [symptomError, setSymptomError] = useState('');
+  const [prnDoses, setPrnDoses] = useState([]);
+  const [prnForm, setPrnForm] = useState(null);
+  const [inventory, setInventory] = useState({ stock: {}, stockLog: [], lowSupplyDays: DEFAULT_LOW_SUPPLY_DAYS });
+  const [showInventory, setShowInventory] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [reportRange, setReportRange] = useState(() => ({
+    from: formatDateForFirestore(new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate() - 30)),
+    to: formatDateForFirestore(new Date()),
+  }));
+  const [reportRecords, setReportRecords] = useState(null); // null while the range is loading
+  const [showBackupManager, setShowBackupManager] = useState(false);
+  const [backupImport, setBackupImport] = useState(null); // { loading } | { error } | { backup, existing, patientIndex, plans }
+  const [loadError, setLoadError] = useState('');
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState(0);
+  const [failedWrites, setFailedWrites] = useState([]);
+  const [installPrompt, setInstallPrompt] = useState(null);
+  const [notificationPermission, setNotificationPermission] = useState(
+    typeof Notification !== 'undefined' ? Notification.permission : 'unsupported'
+  );
 
   const noteInputRef = useRef(null);
-  const systolicRef = useRef(null);
-  const diastolicRef = useRef(null);
   const newMedNameRef = useRef(null);
+  const serviceWorkerRef = useRef(null);
+  const migrationStartedRef = useRef(false);
+  const retryFailedWritesRef = useRef(() => {});
+  const routeSyncedRef = useRef(false);
+
+  // What the signed-in caregiver is allowed to do; firestore.rules enforces the same on the server
+  const role = caregiverProfile ? caregiverProfile.role : 'viewer';
+  const canRecord = role === 'admin' || role === 'caregiver';
+  const canEditRegimen = role === 'admin';
+
+  // Today's record only counts while it is still today; past midnight it is dropped until the new day's record arrives
+  const todayDateKey = formatDateForFirestore(now);
+  const todayMedicationStatus = todayRecord.date === todayDateKey ? todayRecord.medicationStatus : {};
+  const todaySymptoms = todayRecord.date === todayDateKey ? todayRecord.symptoms : [];
+  const isViewingToday = formatDateForFirestore(currentDate) === todayDateKey;
 
-  // 1. Authenticate anonymously and set auth readiness
+  // Notes and symptoms belong to the account that wrote them; display names can be changed by anyone,
+  // so they only label entries. Entries saved before the uid was stored can no longer be edited.
+  const isOwnRecord = (item) => !!authUser && item.authorUid === authUser.uid;
+
+  // Screens of the current route shown over the day view
+  const showAdherenceHistory = view === 'mes';
+  const showManageMedications = view === 'medicamentos' && canEditRegimen;
+  const showSettings = view === 'ajustes';
+  // The adherence history shows the month of the route's day, so the address keeps the month too
+  const adherenceYear = currentDate.getFullYear();
+  const adherenceMonthIndex = currentDate.getMonth();
+  const adherenceMonth = useMemo(() => new Date(adherenceYear, adherenceMonthIndex, 1), [adherenceYear, adherenceMonthIndex]);
+  // A modal or a form tied to the shown day is open, so the day view's keyboard shortcuts stay off
+  const isDayViewBusy = !!(patientEditor || showNameInput || showCaregiverManager || showBloodPressureTrend
+    || showTimeSlotManager || showActivityFeed || showShareSummary || showInventory || historyDoseKey
+    || showRegimenChangelog || showBackupManager || showReport || prnForm || moveNoteId || editNoteId || editBloodPressureId);
+
+  // Every per-patient listener and write hangs off this path; it stays null until a valid patient is selected
+  const selectedPatient = patients ? patients.find(patient => patient.id === patientId) : undefined;
+  const patientPath = selectedPatient ? getPatientPath(selectedPatient.id) : null;
+
+  // 1. Track the signed-in user, finishing an email-link sign-in if the page was opened from one
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
+    if (storage.hasAccounts && storage.isSignInLink(window.location.href)) {
+      const email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt("Confirma tu correo electrónico para entrar:");
+      if (email) {
+        storage.completeSignInLink(email, window.location.href)
+          .then(() => {
+            localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+            window.history.replaceState(null, '', window.location.pathname); // Drop the one-time sign-in code
+          })
+          .catch(error => {
+            console.error("Error completing email link sign-in:", error);
+            alert("El enlace de acceso no es válido o ya fue usado. Pide uno nuevo.");
+          });
+      }
+    }
+
+    const unsubscribe = storage.onAuthStateChanged((user) => {
       if (user) {
-        console.log("Firebase Auth Ready. User:", user.uid);
-        setIsAuthReady(true);
+        console.log("Auth Ready. User:", user.uid);
+        setAuthUser(user);
       } else {
-        console.log("No user found, signing in anonymously...");
-        signInAnonymously(auth).catch(error => {
-          console.error("Error signing in anonymously:", error);
-          setIsAuthReady(false); // Indicate auth is not ready
-          setLoading(false); // Stop loading if auth fails
-        });
+        setAuthUser(null);
+        setCaregiverProfile(undefined);
+        setIsAuthReady(false);
+        setLoading(false);
       }
+    }, (error) => {
+      console.error("Error checking the signed-in user:", error);
+      setLoadError("No se pudo comprobar tu sesión.");
     });
     return () => unsubscribe(); // Cleanup auth listener
   }, []);
 
-  // 2. Load user name from localStorage
+  // 2. Listen for the signed-in user's caregiver profile; data is only readable once it exists
   useEffect(() => {
-    const storedName = localStorage.getItem('medication_calendar_user_name');
-    if (storedName) {
-      setUserName(storedName);
-    } else {
-      setShowNameInput(true); // Show input if no name stored
-    }
-  }, []);
+    if (!authUser) return;
 
-  // 3. Fetch medication definitions from Firestore or populate if empty
+    const profilePath = `artifacts/${appId}/public/data/caregivers/${authUser.uid}`;
+    const unsubscribe = storage.subscribeDoc(profilePath, (profile) => {
+      if (profile) {
+        setCaregiverProfile(profile);
+        setUserName(profile.displayName);
+        setIsAuthReady(true);
+      } else {
+        setCaregiverProfile(null);
+        setUserName(authUser.displayName || '');
+        setShowNameInput(true); // Ask for the name shown next to every record
+        setLoading(false);
+      }
+    }, (error) => {
+      console.error("Error fetching caregiver profile:", error);
+      setLoadError("No se pudo cargar tu perfil de cuidador.");
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [authUser]);
+
+  // 2b. Admins see every caregiver so they can assign roles
   useEffect(() => {
-    if (!isAuthReady) return;
-
-    const medDefinitionsDocRef = doc(db, `artifacts/${appId}/public/data/medicationDefinitions`, 'currentDefinitions');
-
-    const fetchDefinitions = async () => {
-      try {
-        const docSnap = await getDoc(medDefinitionsDocRef);
-        if (docSnap.exists()) {
-          setMedicationDefinitions(docSnap.data().medications);
-        } else {
-          // If no definitions exist, populate with default ones
-          await setDoc(medDefinitionsDocRef, { medications: defaultMedications });
-          setMedicationDefinitions(defaultMedications);
-        }
-      } catch (error) {
-        console.error("Error fetching or setting medication definitions:", error);
+    if (!isAuthReady || !caregiverProfile || caregiverProfile.role !== 'admin' || !showCaregiverManager) return;
+
+    const unsubscribe = storage.subscribeCollection(`artifacts/${appId}/public/data/caregivers`, [], (docs) => {
+      setCaregivers(docs.map(({ id, data }) => ({ ...data, uid: id })));
+    }, (error) => {
+      console.error("Error fetching caregivers:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, caregiverProfile, showCaregiverManager]);
+
+  // 2c. Listen for the patients; the first admin to open the app moves the single-patient data into a default patient
+  useEffect(() => {
+    if (!isAuthReady || !caregiverProfile) return;
+
+    const unsubscribe = storage.subscribeCollection(`artifacts/${appId}/public/data/patients`, [], (docs) => {
+      const list = docs
+        .map(({ id, data }) => ({ ...createEmptyPatient(), ...data, id }))
+        .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+      setPatients(list);
+
+      if (docs.length === 0 && caregiverProfile.role === 'admin' && !migrationStartedRef.current) {
+        migrationStartedRef.current = true;
+        migrateLegacyDataToDefaultPatient(caregiverProfile.displayName).catch(error => {
+          console.error("Error migrating data into the default patient:", error);
+          alert("No se pudieron migrar los datos existentes. Recarga la página para reintentar.");
+          migrationStartedRef.current = false;
+        });
       }
+    }, (error) => {
+      console.error("Error fetching patients:", error);
+      setLoadError("No se pudo cargar la lista de pacientes.");
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, caregiverProfile]);
+
+  // 2d. Keep the selection on an existing patient and reflect it in the URL so the link opens the same patient
+  useEffect(() => {
+    if (!patients || patients.length === 0) return;
+    if (!patients.some(patient => patient.id === patientId)) {
+      setPatientId(patients[0].id);
+      return;
+    }
+
+    localStorage.setItem(SELECTED_PATIENT_KEY, patientId);
+    const url = new URL(window.location.href);
+    url.searchParams.set('patient', patientId);
+    window.history.replaceState(null, '', url);
+  }, [patients, patientId]);
+
+  // 2e. Keep the view and the shown day (whose month the adherence history shows) in the address, so
+  // reloading or bookmarking returns to them. Each change is a new history entry for the browser's
+  // back and forward buttons to retrace; the first sync only tidies the address the page was opened with.
+  useEffect(() => {
+    const url = buildRouteUrl({ view, date: currentDate });
+    if (!routeSyncedRef.current) {
+      routeSyncedRef.current = true;
+      window.history.replaceState(null, '', url);
+    } else if (url !== window.location.href) {
+      window.history.pushState(null, '', url);
+    }
+  }, [view, currentDate]);
+
+  // 2f. Follow the browser's back and forward buttons
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = readRoute();
+      setView(route.view);
+      setCurrentDate(route.date);
     };
 
-    fetchDefinitions();
-  }, [isAuthReady]);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    if (selectedPatient) document.title = `Calendario de Medicamentos de ${selectedPatient.name}`;
+  }, [selectedPatient]);
+
+  // 3. Listen for the selected patient's dated regimen versions
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const unsubscribe = storage.subscribeCollection(`${patientPath}/regimenVersions`, [], (docs) => {
+      setRegimenVersions(readRegimenVersions(docs));
+    }, (error) => {
+      console.error("Error fetching regimen versions:", error);
+    });
 
-  // 4. Listen for daily records (medication status, notes, BP) from Firestore
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath]);
+
+  // 4. Listen for daily records (medication status, notes, BP)
   useEffect(() => {
-    if (!isAuthReady) return;
+    if (!isAuthReady || !patientPath) return;
 
     const formattedDate = formatDateForFirestore(currentDate);
-    const dailyRecordDocRef = doc(db, `artifacts/${appId}/public/data/dailyRecords`, formattedDate);
-
-    console.log("Setting up Firestore listener for daily records:", formattedDate);
-    const unsubscribe = onSnapshot(dailyRecordDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        setMedicationStatus(JSON.parse(data.medicationStatus || '{}'));
-        setNotes(JSON.parse(data.notes || '[]'));
-        setBloodPressure(JSON.parse(data.bloodPressure || '[]'));
+    const dailyRecordPath = `${patientPath}/dailyRecords/${formattedDate}`;
+
+    console.log("Setting up listener for daily records:", formattedDate);
+    const unsubscribe = storage.subscribeDoc(dailyRecordPath, (data) => {
+      if (data) {
+        const record = readDailyRecord(data);
+        setMedicationStatus(record.medicationStatus);
+        setMedicationLog(record.medicationLog);
+        setNotes(record.notes);
+        setBloodPressure(record.bloodPressure);
+        setSymptoms(record.symptoms);
+        setPrnDoses(record.prnDoses);
         console.log("Daily records loaded:", data);
+
+        // Days saved in the old format are converted the first time someone who can write opens them
+        if (canRecord && hasLegacyDailyFields(data)) {
+          migrateLegacyDailyFields(dailyRecordPath)
+            .catch(error => console.error("Error migrating daily record to item maps:", error));
+        }
       } else {
         setMedicationStatus({});
+        setMedicationLog([]);
         setNotes([]);
         setBloodPressure([]);
+        setSymptoms([]);
+        setPrnDoses([]);
         console.log("No daily records found for this date.");
       }
       setLoading(false); // Data loaded, stop loading indicator
     }, (error) => {
       console.error("Error fetching daily records:", error);
+      setLoadError("No se pudieron cargar los registros del día.");
       setLoading(false); // Stop loading even on error
     });
 
-    return () => {
-      console.log("Cleaning up Firestore listener for daily records.");
-      unsubscribe(); // Cleanup Firestore listener
+    return () => {
+      console.log("Cleaning up listener for daily records.");
+      unsubscribe(); // Cleanup listener
+    }
+  }, [currentDate, isAuthReady, patientPath, canRecord]);
+
+  // 5. Listen for today's record, which drives the dose reminders and the family alert banner.
+  // The minute tick changes todayDateKey at midnight, which moves the listener to the new day.
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const todayPath = `${patientPath}/dailyRecords/${todayDateKey}`;
+    const unsubscribe = storage.subscribeDoc(todayPath, (data) => {
+      const record = readDailyRecord(data || {});
+      setTodayRecord({ date: todayDateKey, medicationStatus: record.medicationStatus, symptoms: record.symptoms });
+    }, (error) => {
+      console.error("Error fetching today's medication status:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath, todayDateKey]);
+
+  // 6. Listen for the daily records of the month shown in the adherence history
+  useEffect(() => {
+    if (!isAuthReady || !patientPath || !showAdherenceHistory) return;
+
+    const year = adherenceMonth.getFullYear();
+    const month = adherenceMonth.getMonth();
+    const monthFilters = [
+      ['date', '>=', formatDateForFirestore(new Date(year, month, 1))],
+      ['date', '<=', formatDateForFirestore(new Date(year, month + 1, 0))],
+    ];
+
+    const unsubscribe = storage.subscribeCollection(`${patientPath}/dailyRecords`, monthFilters, (docs) => {
+      const records = {};
+      docs.forEach(({ data }) => {
+        records[data.date] = { medicationStatus: readDailyRecord(data).medicationStatus };
+      });
+      setAdherenceRecords(records);
+    }, (error) => {
+      console.error("Error fetching adherence history:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, showAdherenceHistory, adherenceMonth, patientPath]);
+
+  // 7. Listen for the blood pressure target ranges shared by the family
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const unsubscribe = storage.subscribeDoc(`${patientPath}/settings/bloodPressure`, (data) => {
+      setBloodPressureTargets({ ...DEFAULT_BLOOD_PRESSURE_TARGETS, ...(data || {}) });
+    }, (error) => {
+      console.error("Error fetching blood pressure targets:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath]);
+
+  // 7b. Listen for the patient's time slots
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const unsubscribe = storage.subscribeDoc(`${patientPath}/settings/timeSlots`, (data) => {
+      setTimeSlots(readTimeSlots(data));
+    }, (error) => {
+      console.error("Error fetching time slots:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath]);
+
+  // 7c. Listen for the hour of the end-of-day digest
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const unsubscribe = storage.subscribeDoc(`${patientPath}/settings/digest`, (data) => {
+      setDigestHour(data && Number.isInteger(data.hour) ? data.hour : DEFAULT_DIGEST_HOUR);
+    }, (error) => {
+      console.error("Error fetching digest settings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath]);
+
+  // 8. Listen for this week's readings to check the "2 veces por semana" rule
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const monday = getStartOfWeek(new Date());
+    const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+    const weekFilters = [
+      ['date', '>=', formatDateForFirestore(monday)],
+      ['date', '<=', formatDateForFirestore(sunday)],
+    ];
+
+    const unsubscribe = storage.subscribeCollection(`${patientPath}/dailyRecords`, weekFilters, (docs) => {
+      setWeeklyBloodPressureCount(collectBloodPressureReadings(docs.map(({ data }) => data)).length);
+    }, (error) => {
+      console.error("Error fetching this week's blood pressure readings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath]);
+
+  // 9. Listen for the readings of the selected trend range while the chart is open
+  useEffect(() => {
+    if (!isAuthReady || !patientPath || !showBloodPressureTrend) return;
+
+    const today = new Date();
+    const rangeStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - bloodPressureRangeDays + 1);
+    const rangeFilters = [
+      ['date', '>=', formatDateForFirestore(rangeStart)],
+      ['date', '<=', formatDateForFirestore(today)],
+    ];
+
+    const unsubscribe = storage.subscribeCollection(`${patientPath}/dailyRecords`, rangeFilters, (docs) => {
+      setBloodPressureTrend(collectBloodPressureReadings(docs.map(({ data }) => data)));
+    }, (error) => {
+      console.error("Error fetching blood pressure trend:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, showBloodPressureTrend, bloodPressureRangeDays, patientPath]);
+
+  // 10. Listen for the medication stock and its purchase log
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const unsubscribe = storage.subscribeDoc(`${patientPath}/inventory/stock`, (data) => {
+      setInventory({
+        stock: (data && data.stock) || {},
+        stockLog: (data && data.stockLog) || [],
+        lowSupplyDays: (data && data.lowSupplyDays) || DEFAULT_LOW_SUPPLY_DAYS,
+      });
+    }, (error) => {
+      console.error("Error fetching inventory:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath]);
+
+  // 10a. Listen for the care instructions and emergency contacts. The first patient starts
+  // with the notes that used to be fixed in the app.
+  useEffect(() => {
+    if (!isAuthReady || !patientPath) return;
+
+    const careInstructionsPath = `${patientPath}/careInstructions/current`;
+    const unsubscribe = storage.subscribeDoc(careInstructionsPath, (data) => {
+      setCareInstructions(readCareInstructions(data));
+      if (!data && patientId === DEFAULT_PATIENT_ID && canRecord) {
+        const instructions = Object.fromEntries(DEFAULT_CARE_INSTRUCTIONS.map(instruction => [instruction.id, instruction]));
+        storage.setDoc(careInstructionsPath, { instructions }, { merge: true }).catch((error) => {
+          console.error("Error seeding care instructions:", error);
+        });
+      }
+    }, (error) => {
+      console.error("Error fetching care instructions:", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath, patientId, canRecord]);
+
+  // 10b. Load the daily records of the range chosen for the medical report
+  useEffect(() => {
+    if (!isAuthReady || !patientPath || !showReport) return;
+
+    setReportRecords(null);
+    const rangeFilters = [
+      ['date', '>=', reportRange.from],
+      ['date', '<=', reportRange.to],
+    ];
+    const unsubscribe = storage.subscribeCollection(`${patientPath}/dailyRecords`, rangeFilters, (docs) => {
+      setReportRecords(docs.map(({ data }) => data));
+    }, (error) => {
+      console.error("Error fetching records for the report:", error);
+      alert("No se pudieron cargar los registros del informe.");
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath, showReport, reportRange]);
+
+  // 10c. Listen for the daily records of the activity feed's range while it is open: the days in the
+  // range, plus any earlier day written to since it started (an entry backfilled for last week).
+  // Records saved before updatedAt existed only have a date, hence the two queries.
+  useEffect(() => {
+    if (!isAuthReady || !patientPath || !showActivityFeed) return;
+
+    setActivityRecords(null);
+    const today = new Date();
+    const rangeStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - activityDays + 1);
+    const queries = {
+      byDate: [['date', '>=', formatDateForFirestore(rangeStart)]],
+      byUpdate: [['updatedAt', '>=', rangeStart.toISOString()]],
+    };
+    const results = {};
+    const unsubscribers = Object.entries(queries).map(([key, filters]) => (
+      storage.subscribeCollection(`${patientPath}/dailyRecords`, filters, (docs) => {
+        results[key] = docs;
+        if (Object.keys(results).length < Object.keys(queries).length) return;
+        const recordsById = new Map(Object.values(results).flat().map(({ id, data }) => [id, data]));
+        setActivityRecords([...recordsById.values()]);
+      }, (error) => {
+        console.error("Error fetching activity:", error);
+      })
+    ));
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [isAuthReady, patientPath, showActivityFeed, activityDays]);
+
+  // 10d. Load the daily records of the day or week being shared
+  useEffect(() => {
+    if (!isAuthReady || !patientPath || !showShareSummary) return;
+
+    setShareRecords(null);
+    const start = sharePeriod === 'semana' ? getStartOfWeek(currentDate) : currentDate;
+    const end = sharePeriod === 'semana' ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6) : currentDate;
+    const rangeFilters = [
+      ['date', '>=', formatDateForFirestore(start)],
+      ['date', '<=', formatDateForFirestore(end)],
+    ];
+    const unsubscribe = storage.subscribeCollection(`${patientPath}/dailyRecords`, rangeFilters, (docs) => {
+      setShareRecords(docs.map(({ data }) => data));
+    }, (error) => {
+      console.error("Error fetching records to share:", error);
+      alert("No se pudieron cargar los registros para compartir.");
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, patientPath, showShareSummary, sharePeriod, currentDate]);
+
+  // 11. Register the service worker that caches the app for offline use and shows reminders while the tab is in the background
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => {
+        serviceWorkerRef.current = registration;
+      })
+      .catch(error => console.error("Error registering service worker:", error));
+  }, []);
+
+  // 11b. Follow every patient's regimen, today's record and reminder settings, so reminders cover
+  // all of them and not only the patient on screen
+  useEffect(() => {
+    if (!isAuthReady || !patients || notificationPermission !== 'granted') return;
+
+    setReminderSources(Object.fromEntries(patients.map(patient => [
+      patient.id,
+      { regimenVersions: null, todayRecord: null, digestHour: DEFAULT_DIGEST_HOUR, timeSlots: DEFAULT_TIME_SLOTS },
+    ])));
+    const updateSource = (id, changes) => setReminderSources(sources => ({ ...sources, [id]: { ...sources[id], ...changes } }));
+    const logError = (what) => (error) => console.error(`Error fetching ${what} for reminders:`, error);
+
+    const unsubscribes = patients.flatMap(patient => {
+      const path = getPatientPath(patient.id);
+      return [
+        storage.subscribeCollection(`${path}/regimenVersions`, [], (docs) => {
+          updateSource(patient.id, { regimenVersions: readRegimenVersions(docs) });
+        }, logError('regimen versions')),
+        storage.subscribeDoc(`${path}/dailyRecords/${todayDateKey}`, (data) => {
+          updateSource(patient.id, { todayRecord: { date: todayDateKey, medicationStatus: readDailyRecord(data || {}).medicationStatus } });
+        }, logError("today's record")),
+        storage.subscribeDoc(`${path}/settings/digest`, (data) => {
+          updateSource(patient.id, { digestHour: data && Number.isInteger(data.hour) ? data.hour : DEFAULT_DIGEST_HOUR });
+        }, logError('digest settings')),
+        storage.subscribeDoc(`${path}/settings/timeSlots`, (data) => {
+          updateSource(patient.id, { timeSlots: readTimeSlots(data) });
+        }, logError('time slots')),
+      ];
+    });
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [isAuthReady, patients, notificationPermission, todayDateKey]);
+
+  // 12. Check every minute, for every patient, for doses that are due or overdue and still unchecked
+  useEffect(() => {
+    if (notificationPermission !== 'granted' || !patients) return;
+
+    const checkReminders = () => {
+      const now = new Date();
+      const todayKey = formatDateForFirestore(now);
+      const nowMinutes = now.getHours() * 60 + now.getMinutes();
+      const notified = loadNotifiedReminders(todayKey);
+      const newlyNotified = [];
+
+      patients.forEach(patient => {
+        const source = reminderSources[patient.id];
+        // Wait for the patient's data, and for today's record rather than check against yesterday's
+        if (!source || !source.regimenVersions || !source.todayRecord || source.todayRecord.date !== todayKey) return;
+        const { medicationStatus } = source.todayRecord;
+        const medications = getRegimenForDate(source.regimenVersions, now);
+
+        getDosesForMedications(medications.filter(med => isMedicationScheduledOn(med, now))).forEach(({ key: doseKey, med, time }) => {
+          if (!time || medicationStatus[doseKey]) return;
+          const key = `${patient.id}:${doseKey}`; // Reminders of different patients must not silence each other
+          const minutesLate = nowMinutes - parseTimeOfDay(time);
+          const dose = describeDose(med);
+          const dosage = dose ? ` (${dose})` : '';
+
+          if (minutesLate >= REMINDER_OVERDUE_MINUTES) {
+            if (!notified.includes(`${key}:overdue`)) {
+              showReminder(serviceWorkerRef.current, patient.id, `Dosis atrasada: ${med.name}`, `${patient.name}: ${med.name}${dosage} debía darse a las ${time} y todavía no está marcado.`, key);
+              newlyNotified.push(`${key}:due`, `${key}:overdue`);
+            }
+          } else if (minutesLate >= 0 && !notified.includes(`${key}:due`)) {
+            showReminder(serviceWorkerRef.current, patient.id, `Es hora de: ${med.name}`, `${patient.name}: ${med.name}${dosage} a las ${time}.`, key);
+            newlyNotified.push(`${key}:due`);
+          }
+        });
+
+        // Once a day, at the digest hour, list whatever is still unchecked
+        const digestKey = `${patient.id}:digest`;
+        if (now.getHours() >= source.digestHour && !notified.includes(digestKey)) {
+          const { missed, lines } = buildMissedDoseDigest({
+            patientName: patient.name,
+            date: now,
+            medications,
+            medicationStatus,
+            timeSlots: source.timeSlots,
+            appUrl: buildDateLink(now),
+          });
+          if (missed.length > 0) {
+            showReminder(serviceWorkerRef.current, patient.id, `Resumen del día: ${missed.length} sin marcar`, `${patient.name}:\n${lines.join('\n')}`, digestKey);
+          }
+          newlyNotified.push(digestKey);
+        }
+      });
+
+      if (newlyNotified.length > 0) {
+        saveNotifiedReminders(todayKey, [...new Set([...notified, ...newlyNotified])]);
+      }
+    };
+
+    checkReminders();
+    const intervalId = setInterval(checkReminders, 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, [reminderSources, patients, notificationPermission]);
+
+  // 12b. Tick every minute so the current slot indicator moves along during the day
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  // 13. Follow the connection state and keep the browser's install prompt for the "Instalar app" button
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    const handleBeforeInstallPrompt = (e) => {
+      e.preventDefault();
+      setInstallPrompt(e);
+    };
+    const handleInstalled = () => setInstallPrompt(null);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
+    window.addEventListener('appinstalled', handleInstalled);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('beforeinstallprompt', handleBeforeInstallPrompt);
+      window.removeEventListener('appinstalled', handleInstalled);
+    };
+  }, []);
+
+  // 13b. Keyboard shortcuts of the day view: arrows move a day back or forward and "H" returns to today
+  useEffect(() => {
+    if (view !== 'dia' || isDayViewBusy) return;
+
+    const handleKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      if (e.key === 'ArrowLeft') goToPreviousDay();
+      if (e.key === 'ArrowRight') goToNextDay();
+      if (e.key === 'h' || e.key === 'H') goToToday();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [view, isDayViewBusy]);
+
+  // 14. Retry the writes that failed as soon as the connection comes back. The ref holds the latest
+  // retryFailedWrites, so this runs on reconnection only and not again on every new failure.
+  useEffect(() => {
+    if (isOnline) retryFailedWritesRef.current();
+  }, [isOnline]);
+
+  // Ask the browser for permission to show dose reminders
+  const handleEnableReminders = async () => {
+    if (typeof Notification === 'undefined') {
+      alert("Este navegador no permite mostrar recordatorios.");
+      return;
     }
-  }, [currentDate, isAuthReady]);
+    const permission = await Notification.requestPermission();
+    setNotificationPermission(permission);
+  };
 
-  // Save user name
-  const handleSaveUserName = () => {
-    if (userName.trim()) {
-      localStorage.setItem('medication_calendar_user_name', userName.trim());
+  // Save user name in the caregiver profile, creating the profile on first sign-in.
+  // The very first caregiver becomes admin; everyone else starts read-only until an admin promotes them.
+  const handleSaveUserName = async () => {
+    const displayName = userName.trim();
+    if (!displayName) return;
+    const dataPath = `artifacts/${appId}/public/data`;
+    const profilePath = `${dataPath}/caregivers/${authUser.uid}`;
+
+    try {
+      if (caregiverProfile) {
+        await storage.setDoc(profilePath, { displayName }, { merge: true });
+      } else {
+        const adminLockPath = `${dataPath}/config/adminLock`;
+        const adminLock = await storage.getDoc(adminLockPath);
+        const profile = { displayName, email: authUser.email || '', createdAt: new Date().toISOString() };
+        // One batch, so the rules can check the lock and the admin profile together
+        await storage.commitWrites(adminLock
+          ? [[profilePath, { ...profile, role: 'viewer' }]]
+          : [[profilePath, { ...profile, role: 'admin' }], [adminLockPath, { uid: authUser.uid }]]);
+      }
       setShowNameInput(false);
+    } catch (error) {
+      console.error("Error saving caregiver profile:", error);
+      alert("Error al guardar tu nombre. Inténtalo de nuevo.");
+    }
+  };
+
+  const handleChangeRole = async (uid, role) => {
+    try {
+      await storage.setDoc(`artifacts/${appId}/public/data/caregivers/${uid}`, { role }, { merge: true });
+    } catch (error) {
+      console.error("Error changing caregiver role:", error);
+      alert("Error al cambiar el permiso. Inténtalo de nuevo.");
     }
   };
 
-  // Update Firestore document for medication status
-  const updateDailyRecord = async (field, value) => {
+  // Switch where this device keeps its data. Nothing is copied: data moves between backends via a backup.
+  const handleChangeStorageBackend = (kind) => {
+    if (kind === storage.kind) return;
+    const confirmed = window.confirm(
+      `Los datos se guardarán en "${STORAGE_BACKENDS[kind].label}". Los registros actuales no se copian: exporta una copia de seguridad antes e impórtala después del cambio. La aplicación se recargará. ¿Continuar?`
+    );
+    if (!confirmed) return;
+    setStorageBackend(kind);
+    window.location.reload();
+  };
+
+  // Start a write and count it as pending for the sync indicator until the server confirms it.
+  // Firestore applies a write to the local cache at once but settles its promise only when the
+  // server answers, which never happens offline, so callers carry on without awaiting it. Errors
+  // are reported here; the ones a retry could fix (not permission-denied) are kept for retrying.
+  const runTrackedWrite = (label, write) => {
+    setPendingWrites(count => count + 1);
+    Promise.resolve()
+      .then(write)
+      .catch(error => {
+        console.error(`Error saving "${label}":`, error);
+        if (error.code === 'permission-denied') {
+          alert(`No tienes permiso para guardar: ${label}.`);
+          return;
+        }
+        setFailedWrites(prev => [...prev, { id: `${Date.now()}-${prev.length}`, label, write }]);
+        alert(`No se pudo guardar: ${label}. Quedó marcado en el indicador de guardado y puedes reintentarlo.`);
+      })
+      .finally(() => setPendingWrites(count => count - 1));
+  };
+
+  const retryFailedWrites = () => {
+    const toRetry = failedWrites;
+    setFailedWrites([]);
+    toRetry.forEach(({ label, write }) => runTrackedWrite(label, write));
+  };
+  retryFailedWritesRef.current = retryFailedWrites;
+
+  // Merge item-level changes (e.g. { noteItems: { [id]: note } }) into the daily record being viewed
+  const updateDailyRecordItems = (items) => {
     if (!isAuthReady) {
       console.error("Authentication not ready. Cannot save data.");
       return;
     }
+    if (!canRecord) {
+      console.error("Read-only role. Cannot save data.");
+      return;
+    }
     const formattedDate = formatDateForFirestore(currentDate);
-    const dailyRecordDocRef = doc(db, `artifacts/${appId}/public/data/dailyRecords`, formattedDate);
+    const dailyRecordPath = `${patientPath}/dailyRecords/${formattedDate}`;
 
-    try {
-      await setDoc(dailyRecordDocRef, { [field]: JSON.stringify(value), date: formattedDate }, { merge: true });
-    } catch (e) {
-      console.error(`Error updating ${field} in document: `, e);
-    }
+    runTrackedWrite(
+      `Registro del ${currentDate.toLocaleDateString('es-AR')}`,
+      () => storage.setDoc(dailyRecordPath, { ...items, date: formattedDate, updatedAt: new Date().toISOString() }, { merge: true })
+    );
+  };
+
+  // Add (or with a negative amount, subtract) units from a medication's stock; untracked medications are left alone
+  const adjustStock = (med, amount) => {
+    const stockItemId = getStockItemId(med);
+    if (inventory.stock[stockItemId] === undefined) return;
+    const inventoryPath = `${patientPath}/inventory/stock`;
+    runTrackedWrite('Stock', () => storage.setDoc(inventoryPath, { stock: { [stockItemId]: storage.increment(amount) } }, { merge: true }));
+  };
+
+  // Record a purchase and add it to the stock
+  const handleRecordPurchase = (stockItemId, quantity) => {
+    const inventoryPath = `${patientPath}/inventory/stock`;
+    const entry = { id: `${Date.now()}`, type: 'compra', stockItemId, quantity, author: userName, authorUid: authUser.uid, timestamp: new Date().toISOString() };
+    runTrackedWrite('Compra', () => storage.setDoc(inventoryPath, { stock: { [stockItemId]: storage.increment(quantity) }, stockLog: storage.arrayUnion(entry) }, { merge: true }));
+  };
+
+  // Set the stock to a counted amount; this also starts tracking a medication
+  const handleSetStock = (stockItemId, quantity) => {
+    const inventoryPath = `${patientPath}/inventory/stock`;
+    const entry = { id: `${Date.now()}`, type: 'recuento', stockItemId, quantity, author: userName, authorUid: authUser.uid, timestamp: new Date().toISOString() };
+    runTrackedWrite('Recuento de stock', () => storage.setDoc(inventoryPath, { stock: { [stockItemId]: quantity }, stockLog: storage.arrayUnion(entry) }, { merge: true }));
+  };
+
+  const handleSaveLowSupplyDays = (days) => {
+    const inventoryPath = `${patientPath}/inventory/stock`;
+    runTrackedWrite('Aviso de stock bajo', () => storage.setDoc(inventoryPath, { lowSupplyDays: days }, { merge: true }));
+  };
+
+  // Save one care instruction or contact into its per-item map, stamped with who changed it and when
+  const saveCareItem = (field, item, label) => {
+    const now = new Date().toISOString();
+    const id = item.id || Date.now().toString();
+    const saved = { ...item, id, createdAt: item.createdAt || now, updatedBy: userName, updatedByUid: authUser.uid, updatedAt: now };
+    runTrackedWrite(label, () => storage.setDoc(`${patientPath}/careInstructions/current`, { [field]: { [id]: saved } }, { merge: true }));
+    return true;
+  };
+
+  const deleteCareItem = (field, id, label) => {
+    runTrackedWrite(label, () => storage.setDoc(`${patientPath}/careInstructions/current`, { [field]: { [id]: storage.deleteField() } }, { merge: true }));
   };
 
-  // Handle medication checkbox toggle
-  const handleToggleMedication = (medId) => {
+  // Handle medication checkbox toggle, recording who did it and when
+  const handleToggleMedication = (doseKey, comment = '') => {
+    if (!canRecord) return;
+    if (!userName) {
+      alert("Por favor, ingresa tu nombre para marcar una dosis.");
+      setShowNameInput(true);
+      return;
+    }
+    const given = !medicationStatus[doseKey];
     const newStatus = {
       ...medicationStatus,
-      [medId]: !medicationStatus[medId],
+      [doseKey]: given,
     };
+    // The log is append-only: unchecking adds an entry instead of removing the previous one
+    const logEntry = {
+      doseKey,
+      given,
+      author: userName,
+      authorUid: authUser.uid,
+      timestamp: new Date().toISOString(),
+      comment: comment.trim(),
+    };
+    const logEntryId = getLogEntryId(logEntry);
+    const newLog = [...medicationLog, { ...logEntry, id: logEntryId }];
     setMedicationStatus(newStatus); // Optimistic update
-    updateDailyRecord('medicationStatus', newStatus);
+    setMedicationLog(newLog);
+    const items = {
+      [DOSE_STATUS_FIELD]: { [doseKey]: given },
+      [DAILY_ITEM_FIELDS.medicationLog]: { [logEntryId]: logEntry },
+    };
+
+    // Checking a dose takes its units out of the stock; unchecking puts them back. The stock is what is in
+    // the box now, so only today's doses move it: backfilling or correcting an earlier day leaves it alone.
+    const dose = isViewingToday && getDosesForMedications(dayMedications).find(d => d.key === doseKey);
+    const stockItemId = dose && getStockItemId(dose.med);
+    if (!stockItemId || inventory.stock[stockItemId] === undefined) {
+      updateDailyRecordItems(items);
+      return;
+    }
+    // The status and the stock change together, and only when the stored status really flips,
+    // so two caregivers checking the same dose at once take the units out only once
+    const units = getUnitsPerDose(dose.med);
+    const formattedDate = formatDateForFirestore(currentDate);
+    runTrackedWrite(`Registro del ${currentDate.toLocaleDateString('es-AR')}`, () => storage.updateDocsInTransaction(
+      [`${patientPath}/dailyRecords/${formattedDate}`, `${patientPath}/inventory/stock`],
+      ([record, inventoryData]) => {
+        const storedGiven = !!(record && readDailyRecord(record).medicationStatus[doseKey]);
+        if (storedGiven === given) return [null, null];
+        const stock = inventoryData && inventoryData.stock ? inventoryData.stock[stockItemId] : undefined;
+        return [
+          { ...items, date: formattedDate, updatedAt: new Date().toISOString() },
+          typeof stock === 'number' ? { stock: { [stockItemId]: stock + (given ? -units : units) } } : null,
+        ];
+      }
+    ));
+  };
+
+  // Toggle a dose from the history modal, attaching the typed comment
+  const handleToggleFromHistory = () => {
+    handleToggleMedication(historyDoseKey, historyComment);
+    setHistoryComment('');
   };
 
   // Handle adding a new note
   const handleAddNote = () => {
     const noteText = noteInputRef.current.value.trim();
     if (noteText && userName) {
-      const newNotes = [...notes, {
+      const timestamp = new Date().toISOString();
+      const newNote = {
+        id: `${Date.now()}`,
         text: noteText,
+        category: newNoteCategory,
         author: userName,
-        timestamp: new Date().toISOString()
-      }];
-      setNotes(newNotes); // Optimistic update
-      updateDailyRecord('notes', newNotes);
+        authorUid: authUser.uid,
+        timestamp
+      };
+      setNotes([...notes, newNote]); // Optimistic update
+      updateDailyRecordItems({ [DAILY_ITEM_FIELDS.notes]: { [newNote.id]: newNote } });
       noteInputRef.current.value = ''; // Clear input
     } else if (!userName) {
       alert("Por favor, ingresa tu nombre para añadir una nota.");
@@ -213,177 +4126,887 @@ function App() {
     }
   };
 
-  // Handle adding a new blood pressure reading
-  const handleAddBloodPressure = () => {
-    const systolic = systolicRef.current.value.trim();
-    const diastolic = diastolicRef.current.value.trim();
-    if (systolic && diastolic && userName) {
-      const newBP = [...bloodPressure, {
-        systolic: systolic,
-        diastolic: diastolic,
-        author: userName,
-        timestamp: new Date().toISOString()
-      }];
-      setBloodPressure(newBP); // Optimistic update
-      updateDailyRecord('bloodPressure', newBP);
-      systolicRef.current.value = ''; // Clear inputs
-      diastolicRef.current.value = '';
-    } else if (!userName) {
+  // Start editing one of the current user's notes
+  const handleEditNote = (note) => {
+    setMoveNoteId(null);
+    setEditNoteId(note.id);
+    setEditNoteDraft({ text: note.text, category: note.category });
+  };
+
+  const handleSaveNoteEdit = () => {
+    const noteText = editNoteDraft.text.trim();
+    if (!noteText) {
+      alert("La nota no puede quedar vacía.");
+      return;
+    }
+    const editedNote = {
+      ...notes.find(note => note.id === editNoteId),
+      text: noteText,
+      category: editNoteDraft.category,
+      editedAt: new Date().toISOString(),
+    };
+    setNotes(notes.map(note => (note.id === editNoteId ? editedNote : note))); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.notes]: { [editNoteId]: editedNote } });
+    setEditNoteId(null);
+  };
+
+  // Flag a note for the medical report; anyone who records can do it, not only the author
+  const handleToggleNoteRelevant = (note) => {
+    const updatedNote = { ...note, relevant: !note.relevant, relevantMarkedBy: userName, relevantMarkedByUid: authUser.uid };
+    setNotes(notes.map(existing => (existing.id === note.id ? updatedNote : existing))); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.notes]: { [note.id]: updatedNote } });
+  };
+
+  const handleDeleteNote = (noteId) => {
+    if (!window.confirm("¿Estás seguro de que quieres eliminar esta nota?")) return;
+    setNotes(notes.filter(note => note.id !== noteId)); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.notes]: { [noteId]: storage.deleteField() } });
+  };
+
+  // Move a note written on the wrong day to the daily record of another date
+  const handleMoveNote = () => {
+    const sourceDate = formatDateForFirestore(currentDate);
+    if (!moveNoteDate || moveNoteDate === sourceDate) {
+      alert("Elige una fecha distinta a la del día actual.");
+      return;
+    }
+    const noteToMove = notes.find(note => note.id === moveNoteId);
+    const movedNote = { ...noteToMove, movedFrom: sourceDate, editedAt: new Date().toISOString() };
+
+    // Both days change in one batch so the note is never lost or duplicated
+    const updatedAt = new Date().toISOString();
+    runTrackedWrite('Mover nota', () => storage.commitWrites([
+      [`${patientPath}/dailyRecords/${moveNoteDate}`, { [DAILY_ITEM_FIELDS.notes]: { [movedNote.id]: movedNote }, date: moveNoteDate, updatedAt }, { merge: true }],
+      [`${patientPath}/dailyRecords/${sourceDate}`, { [DAILY_ITEM_FIELDS.notes]: { [movedNote.id]: storage.deleteField() }, updatedAt }, { merge: true }],
+    ]));
+    setNotes(notes.filter(note => note.id !== moveNoteId));
+    setMoveNoteId(null);
+    setMoveNoteDate('');
+  };
+
+  // Open the "Dar dosis" form for an as-needed medication, optionally with a prefilled reason
+  const openPrnForm = (medId, reason = '') => {
+    setPrnForm({ medId, reason, time: '' });
+  };
+
+  // Log an as-needed dose after checking the interval and the 24h maximum
+  const handleGivePrnDose = async () => {
+    if (!userName) {
+      alert("Por favor, ingresa tu nombre para registrar una dosis.");
+      setShowNameInput(true);
+      return;
+    }
+    const med = dayMedications.find(definition => definition.id === prnForm.medId);
+    if (!med) {
+      alert("Este medicamento ya no está en el tratamiento de este día.");
+      setPrnForm(null);
+      return;
+    }
+    // The dose is stored in the record of the day being viewed, so on any other day "now" would be wrong
+    if (!prnForm.time && !isViewingToday) {
+      alert("Indica a qué hora se dio la dosis.");
+      return;
+    }
+    let givenAt = new Date();
+    if (prnForm.time) {
+      const [hours, minutes] = prnForm.time.split(':').map(Number);
+      givenAt = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate(), hours, minutes);
+    }
+
+    // The 24h window can reach into the previous day's record
+    const previousDate = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate() - 1);
+    let previousDayDoses = [];
+    try {
+      const previousData = await storage.getDoc(`${patientPath}/dailyRecords/${formatDateForFirestore(previousDate)}`);
+      previousDayDoses = previousData ? readDailyRecord(previousData).prnDoses : [];
+    } catch (error) {
+      console.error("Error fetching previous day's as-needed doses:", error);
+    }
+
+    const { blocked, warning } = evaluatePrnDose(med, [...previousDayDoses, ...prnDoses], givenAt);
+    if (blocked) {
+      alert(blocked);
+      return;
+    }
+    if (warning && !window.confirm(`${warning}\n\n¿Registrar la dosis de todas formas?`)) {
+      return;
+    }
+
+    const newPrnDose = {
+      id: `${Date.now()}`,
+      medId: med.id,
+      timestamp: givenAt.toISOString(),
+      author: userName,
+      authorUid: authUser.uid,
+      reason: prnForm.reason.trim(),
+      intervalWarning: !!warning,
+    };
+    setPrnDoses([...prnDoses, newPrnDose]); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.prnDoses]: { [newPrnDose.id]: newPrnDose } });
+    // Like scheduled doses, only a dose given today comes out of the current stock
+    if (isViewingToday) adjustStock(med, -getUnitsPerDose(med));
+    setPrnForm(null);
+  };
+
+  // Handle logging a symptom or event
+  const handleAddSymptom = () => {
+    if (!userName) {
+      alert("Por favor, ingresa tu nombre para registrar un síntoma.");
+      setShowNameInput(true);
+      return;
+    }
+    const symptomType = getSymptomType(symptomForm.type);
+    const temperature = Number(String(symptomForm.temperature).replace(',', '.'));
+    if (symptomType.requiresTemperature
+      && !(temperature >= BODY_TEMPERATURE_LIMITS.min && temperature <= BODY_TEMPERATURE_LIMITS.max)) {
+      setSymptomError(`Ingresa la temperatura en °C (entre ${BODY_TEMPERATURE_LIMITS.min} y ${BODY_TEMPERATURE_LIMITS.max}).`);
+      return;
+    }
+
+    let occurredAt = new Date();
+    if (symptomForm.time) {
+      const [hours, minutes] = symptomForm.time.split(':').map(Number);
+      occurredAt = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate(), hours, minutes);
+    }
+    const newSymptom = {
+      id: `${Date.now()}`,
+      type: symptomForm.type,
+      severity: symptomForm.severity,
+      temperature: symptomType.requiresTemperature ? temperature : null,
+      details: symptomForm.details.trim(),
+      timestamp: occurredAt.toISOString(),
+      author: userName,
+      authorUid: authUser.uid,
+    };
+    setSymptoms([...symptoms, newSymptom]); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.symptoms]: { [newSymptom.id]: newSymptom } });
+    setSymptomForm(createEmptySymptomForm());
+    setSymptomError('');
+  };
+
+  const handleDeleteSymptom = (symptomId) => {
+    if (!window.confirm("¿Estás seguro de que quieres eliminar este registro?")) return;
+    setSymptoms(symptoms.filter(symptom => symptom.id !== symptomId)); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.symptoms]: { [symptomId]: storage.deleteField() } });
+  };
+
+  // Handle adding a new blood pressure reading, or saving changes to the one being edited
+  const handleSaveBloodPressure = () => {
+    if (!userName) {
       alert("Por favor, ingresa tu nombre para registrar la presión.");
       setShowNameInput(true);
+      return;
+    }
+    const validationError = validateBloodPressureReading(bloodPressureForm);
+    if (validationError) {
+      setBloodPressureError(validationError);
+      return;
+    }
+
+    // The measurement time defaults to now; an explicit time is placed on the day being viewed
+    let measuredAt = new Date();
+    if (bloodPressureForm.time) {
+      const [hours, minutes] = bloodPressureForm.time.split(':').map(Number);
+      measuredAt = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate(), hours, minutes);
+    }
+    const values = {
+      systolic: Number(bloodPressureForm.systolic),
+      diastolic: Number(bloodPressureForm.diastolic),
+      pulse: bloodPressureForm.pulse ? Number(bloodPressureForm.pulse) : null,
+      arm: bloodPressureForm.arm,
+      position: bloodPressureForm.position,
+    };
+
+    let reading;
+    if (editBloodPressureId) {
+      const original = bloodPressure.find(bp => bp.id === editBloodPressureId);
+      reading = {
+        ...original,
+        ...values,
+        timestamp: bloodPressureForm.time ? measuredAt.toISOString() : original.timestamp,
+        updatedBy: userName,
+        updatedByUid: authUser.uid,
+        updatedAt: new Date().toISOString(),
+      };
+    } else {
+      reading = {
+        id: `${Date.now()}`,
+        ...values,
+        author: userName,
+        authorUid: authUser.uid,
+        timestamp: measuredAt.toISOString(),
+        recordedAt: new Date().toISOString(),
+      };
+    }
+    setBloodPressure(editBloodPressureId
+      ? bloodPressure.map(bp => (bp.id === reading.id ? reading : bp))
+      : [...bloodPressure, reading]); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.bloodPressure]: { [reading.id]: reading } });
+    handleCancelBloodPressureEdit(); // Clear inputs
+  };
+
+  // Load a reading into the form for correction
+  const handleEditBloodPressure = (bp) => {
+    setEditBloodPressureId(bp.id);
+    setBloodPressureError('');
+    setBloodPressureForm({
+      systolic: String(bp.systolic),
+      diastolic: String(bp.diastolic),
+      pulse: bp.pulse ? String(bp.pulse) : '',
+      arm: bp.arm || '',
+      position: bp.position || '',
+      time: new Date(bp.timestamp).toTimeString().slice(0, 5),
+    });
+  };
+
+  const handleCancelBloodPressureEdit = () => {
+    setEditBloodPressureId(null);
+    setBloodPressureError('');
+    setBloodPressureForm(createEmptyBloodPressureForm());
+  };
+
+  // Readings are kept with a deletion mark so the change stays attributed
+  const handleDeleteBloodPressure = (bpId) => {
+    if (!userName) {
+      alert("Por favor, ingresa tu nombre para eliminar un registro.");
+      setShowNameInput(true);
+      return;
+    }
+    if (!window.confirm("¿Estás seguro de que quieres eliminar este registro de presión?")) return;
+    const deletedReading = {
+      ...bloodPressure.find(bp => bp.id === bpId),
+      deleted: true,
+      deletedBy: userName,
+      deletedByUid: authUser.uid,
+      deletedAt: new Date().toISOString(),
+    };
+    setBloodPressure(bloodPressure.map(bp => (bp.id === bpId ? deletedReading : bp))); // Optimistic update
+    updateDailyRecordItems({ [DAILY_ITEM_FIELDS.bloodPressure]: { [bpId]: deletedReading } });
+    if (editBloodPressureId === bpId) {
+      handleCancelBloodPressureEdit();
+    }
+  };
+
+  // Save the blood pressure target ranges for everyone
+  const handleSaveBloodPressureTargets = (targets) => {
+    const validationError = validateBloodPressureTargets(targets);
+    if (validationError) {
+      alert(validationError);
+      return;
     }
+    runTrackedWrite('Rangos de presión', () => storage.setDoc(`${patientPath}/settings/bloodPressure`, targets, { merge: true }));
+  };
+
+  const handleSaveDigestHour = (hour) => {
+    runTrackedWrite('Hora del resumen', () => storage.setDoc(`${patientPath}/settings/digest`, { hour }, { merge: true }));
   };
 
   // Navigate to previous day
   const goToPreviousDay = () => {
-    const newDate = new Date(currentDate);
-    newDate.setDate(newDate.getDate() - 1);
-    setCurrentDate(newDate);
+    setCurrentDate(date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1));
   };
 
   // Navigate to next day
   const goToNextDay = () => {
-    const newDate = new Date(currentDate);
-    newDate.setDate(newDate.getDate() + 1);
-    setCurrentDate(newDate);
+    setCurrentDate(date => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+  };
+
+  const goToToday = () => {
+    setCurrentDate(new Date());
+  };
+
+  // Jump to a day picked in the header's date field
+  const handlePickDate = (value) => {
+    if (value) setCurrentDate(parseFirestoreDate(value));
+  };
+
+  // Open the adherence history on the month currently being viewed
+  const openAdherenceHistory = () => {
+    setView('mes');
+  };
+
+  // Move the adherence history one month backwards or forwards by moving the shown day with it:
+  // to today in the current month and to the 1st in any other
+  const changeAdherenceMonth = (delta) => {
+    const month = new Date(adherenceYear, adherenceMonthIndex + delta, 1);
+    const today = new Date();
+    const isCurrentMonth = month.getFullYear() === today.getFullYear() && month.getMonth() === today.getMonth();
+    setCurrentDate(isCurrentMonth ? today : month);
+  };
+
+  // Jump the daily view to a day picked in the adherence history
+  const handleSelectHistoryDay = (date) => {
+    setCurrentDate(date);
+    setView(DEFAULT_VIEW);
+  };
+
+  // Switch to another patient, dropping the previous patient's data so it never shows under the new name
+  const handleSelectPatient = (id) => {
+    if (id === patientId) return;
+    setPatientId(id);
+    setLoading(true);
+    setRegimenVersions([]);
+    setInventory({ stock: {}, stockLog: [], lowSupplyDays: DEFAULT_LOW_SUPPLY_DAYS });
+    setBloodPressureTargets(DEFAULT_BLOOD_PRESSURE_TARGETS);
+    setAdherenceRecords({});
+    setBloodPressureTrend([]);
+    setTodayRecord({ date: null, medicationStatus: {}, symptoms: [] });
+    setEditBloodPressureId(null);
+    setBloodPressureForm(createEmptyBloodPressureForm());
+    setPrnForm(null);
+    setHistoryDoseKey(null);
+  };
+
+  // Create a patient (with an empty first regimen version) or update the one being edited
+  const handleSavePatient = (patientData) => {
+    const editing = patientEditor && patientEditor.patient;
+    if (editing) {
+      runTrackedWrite('Paciente', () => storage.setDoc(getPatientPath(editing.id), {
+        ...patientData,
+        updatedBy: userName,
+        updatedAt: new Date().toISOString(),
+      }, { merge: true }));
+    } else {
+      const newPatientId = storage.newId(`artifacts/${appId}/public/data/patients`);
+      const newPatientPath = getPatientPath(newPatientId);
+      runTrackedWrite('Nuevo paciente', () => storage.commitWrites([
+        [`${newPatientPath}/regimenVersions/initial`, {
+          effectiveFrom: INITIAL_REGIMEN_DATE,
+          medications: [],
+          changedBy: userName,
+          changedByUid: authUser.uid,
+          changedAt: new Date().toISOString(),
+          reason: 'Alta del paciente',
+          changes: [],
+        }],
+        [newPatientPath, { ...patientData, createdBy: userName, createdAt: new Date().toISOString() }],
+      ]));
+      handleSelectPatient(newPatientId);
+    }
+    setPatientEditor(null);
+  };
+
+  // Download every patient as one JSON backup, or the selected patient's data as three CSV sheets
+  const handleExportBackup = async (format) => {
+    try {
+      const today = formatDateForFirestore(new Date());
+      if (format === 'json') {
+        const backup = await fetchFullBackup(patients, userName);
+        downloadFile(`copia-calendario-${today}.json`, JSON.stringify(backup, null, 2), 'application/json');
+      } else {
+        const patientBackup = await fetchPatientBackup(selectedPatient);
+        const baseName = `${normalizeText(selectedPatient.name).replace(/\s+/g, '-')}-${today}`;
+        downloadFile(`dosis-${baseName}.csv`, buildDosesCsv(patientBackup), 'text/csv');
+        downloadFile(`presion-${baseName}.csv`, buildBloodPressureCsv(patientBackup), 'text/csv');
+        downloadFile(`notas-${baseName}.csv`, buildNotesCsv(patientBackup), 'text/csv');
+      }
+    } catch (error) {
+      console.error("Error exporting backup:", error);
+      alert("No se pudo exportar. Revisa la conexión e inténtalo de nuevo.");
+    }
+  };
+
+  // Read a backup file and preview what importing it would add, starting with the selected patient if the file has it
+  const handlePickBackupFile = async (file) => {
+    setBackupImport({ loading: true });
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      setBackupImport({ error: 'El archivo no es un JSON válido.' });
+      return;
+    }
+    const validationError = validateBackup(backup);
+    if (validationError) {
+      setBackupImport({ error: validationError });
+      return;
+    }
+
+    try {
+      const current = await fetchPatientBackup(selectedPatient);
+      const existing = {
+        versionIds: current.regimenVersions.map(version => version.id),
+        records: Object.fromEntries(current.dailyRecords.map(record => [record.date, record])),
+        hasBloodPressureSettings: !!current.settings.bloodPressure,
+        hasTimeSlots: !!current.settings.timeSlots,
+        hasInventory: !!current.inventory,
+        hasCareInstructions: !!current.careInstructions,
+      };
+      const selectedIndex = getBackupPatients(backup).findIndex(patientBackup => patientBackup.patient.id === patientId);
+      setBackupImport(previewBackupImport(backup, existing, Math.max(0, selectedIndex)));
+    } catch (error) {
+      console.error("Error reading current data for the import preview:", error);
+      setBackupImport({ error: 'No se pudieron leer los datos actuales para comparar.' });
+    }
+  };
+
+  // Preview another patient of a backup that holds several
+  const handleSelectImportPatient = (patientIndex) => {
+    setBackupImport(previewBackupImport(backupImport.backup, backupImport.existing, patientIndex));
+  };
+
+  // Write the previewed patient of the import, either into the selected patient or as a new one
+  const handleApplyBackupImport = (mode) => {
+    const { backup, patientIndex, plans } = backupImport;
+    const plan = plans[mode];
+    const patientBackup = getBackupPatients(backup)[patientIndex];
+
+    let targetPatientId = patientId;
+    if (mode === 'newPatient') {
+      const idTaken = patients.some(patient => patient.id === patientBackup.patient.id);
+      targetPatientId = patientBackup.patient.id && !idTaken
+        ? patientBackup.patient.id
+        : storage.newId(`artifacts/${appId}/public/data/patients`);
+    }
+    const targetPath = getPatientPath(targetPatientId);
+
+    const writes = [
+      ...plan.versionsToAdd.map(({ id, ...version }) => [`${targetPath}/regimenVersions/${id}`, version]),
+      ...plan.recordChanges.map(change => [
+        `${targetPath}/dailyRecords/${change.date}`, { ...change.items, date: change.date }, { merge: true },
+      ]),
+    ];
+    if (plan.restoresSettings) writes.push([`${targetPath}/settings/bloodPressure`, patientBackup.settings.bloodPressure]);
+    if (plan.restoresTimeSlots) writes.push([`${targetPath}/settings/timeSlots`, patientBackup.settings.timeSlots]);
+    if (plan.restoresInventory) writes.push([`${targetPath}/inventory/stock`, patientBackup.inventory]);
+    if (plan.restoresCareInstructions) writes.push([`${targetPath}/careInstructions/current`, patientBackup.careInstructions]);
+
+    runTrackedWrite('Importar copia', () => storage.commitWrites(writes));
+    if (mode === 'newPatient') {
+      // Queued last, like the migration, so the patient only appears once all its data is there
+      const { name, photoUrl, allergies, doctors } = { ...createEmptyPatient(), ...patientBackup.patient };
+      runTrackedWrite('Paciente importado', () => storage.setDoc(targetPath, { name, photoUrl, allergies, doctors, importedBy: userName, importedAt: new Date().toISOString() }));
+      handleSelectPatient(targetPatientId);
+    }
+    setBackupImport(null);
+    alert(`Importación guardada: ${plan.addedEntries} registros y ${plan.versionsToAdd.length} versiones del tratamiento. Si falla el envío al servidor, puedes volver a importar el mismo archivo: lo ya importado no se duplica.`);
+  };
+
+  // Offer the browser's "add to home screen" dialog saved by effect 13
+  const handleInstallApp = async () => {
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    setInstallPrompt(null);
   };
 
   // Share via WhatsApp
-  const shareViaWhatsApp = () => {
-    const appUrl = window.location.href;
-    const message = `¡Hola! Aquí tienes el enlace al calendario de medicamentos de mamá para que puedas verlo y actualizarlo: ${appUrl}`;
+  const shareViaWhatsApp = (message = `¡Hola! Aquí tienes el enlace al calendario de medicamentos de ${selectedPatient.name} para que puedas verlo y actualizarlo: ${buildDateLink(currentDate)}`) => {
     const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(message)}`;
     window.open(whatsappUrl, '_blank');
     setShowShareMessage(true);
     setTimeout(() => setShowShareMessage(false), 5000); // Hide message after 5 seconds
   };
 
-  // Filter medications for display based on frequency
+  // Hand the summary to the phone's share sheet (WhatsApp, mail, SMS...)
+  const handleShareNative = async (text) => {
+    try {
+      await navigator.share({ title: document.title, text });
+    } catch (error) {
+      if (error.name === 'AbortError') return; // The share sheet was closed without choosing
+      console.error("Error sharing summary:", error);
+      alert("No se pudo compartir el resumen.");
+    }
+  };
+
+  const handleCopySummary = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      alert("Resumen copiado. Ya puedes pegarlo en un mensaje.");
+    } catch (error) {
+      console.error("Error copying summary:", error);
+      alert("No se pudo copiar el resumen.");
+    }
+  };
+
+
+  // The latest regimen version is the one edited in Administrar Medicamentos; past and
+  // future days render against the version in force on that date
+  const latestRegimen = regimenVersions[regimenVersions.length - 1];
+  const medicationDefinitions = latestRegimen ? latestRegimen.medications : [];
+  const ingredientTotals = computeIngredientTotals(medicationDefinitions);
+  const dayMedications = useMemo(() => getRegimenForDate(regimenVersions, currentDate), [regimenVersions, currentDate]);
+  const todayMedications = useMemo(() => getRegimenForDate(regimenVersions, parseFirestoreDate(todayDateKey)), [regimenVersions, todayDateKey]);
+  const todayDigest = buildMissedDoseDigest({
+    patientName: selectedPatient ? selectedPatient.name : '',
+    date: now,
+    medications: todayMedications,
+    medicationStatus: todayMedicationStatus,
+    timeSlots,
+    appUrl: buildDateLink(now),
+  });
+  const shareSummaryText = shareRecords && buildShareSummary({
+    patientName: selectedPatient ? selectedPatient.name : '',
+    period: sharePeriod,
+    date: currentDate,
+    dailyRecordDocs: shareRecords,
+    regimenVersions,
+    timeSlots,
+  });
+  const activityStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - activityDays + 1);
+  const showDigestBanner = now.getHours() >= digestHour && todayDigest.missed.length > 0;
+
+  // Filter medications for display based on their recurrence rule
   const getFilteredMedications = () => {
-    const currentDayOfWeek = currentDate.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    const currentYear = currentDate.getFullYear();
-    const currentMonth = currentDate.getMonth();
-    const currentDay = currentDate.getDate();
-
-    return medicationDefinitions.filter(med => {
-      switch (med.frequency) {
-        case 'Diario':
-          return true;
-        case 'Martes, Jueves, Sábados':
-          return currentDayOfWeek === 2 || currentDayOfWeek === 4 || currentDayOfWeek === 6;
-        case 'Último Martes del Mes':
-          const lastTuesday = getLastTuesdayOfMonth(currentYear, currentMonth);
-          return currentDate.toDateString() === lastTuesday.toDateString();
-        case 'Según necesidad': // These are special notes, not daily meds
-          return false;
-        default:
-          return true;
-      }
-    });
+    return dayMedications.filter(med => isMedicationScheduledOn(med, currentDate));
   };
 
   const medicationsToDisplay = getFilteredMedications();
 
-  // Group medications by time for display
-  const groupedMedications = medicationsToDisplay.reduce((acc, med) => {
-    if (!acc[med.time]) {
-      acc[med.time] = [];
+  // Group doses by time slot for display, ordered by clock time within each slot. Days before a
+  // slot was renamed still use its old name, which maps to the same slot.
+  const groupedMedications = getDosesForMedications(medicationsToDisplay).reduce((acc, dose) => {
+    const slot = findTimeSlot(timeSlots, dose.med.time);
+    const slotName = slot ? slot.name : dose.med.time;
+    if (!acc[slotName]) {
+      acc[slotName] = [];
     }
-    acc[med.time].push(med);
+    acc[slotName].push(dose);
     return acc;
   }, {});
+  Object.values(groupedMedications).forEach(doses => doses.sort((a, b) => a.time.localeCompare(b.time)));
+  const slotNamesToDisplay = sortSlotNames(Object.keys(groupedMedications), timeSlots);
+  // Only today has a current slot, picked among the slots that have doses
+  const nowSlot = currentDate.toDateString() === now.toDateString()
+    ? getNowSlot(timeSlots.filter(slot => groupedMedications[slot.name]), now)
+    : null;
+
+  // Run-out forecast per product and the ones that need buying soon
+  const stockItems = getStockItems(todayMedications);
+  const stockForecasts = Object.fromEntries(
+    stockItems.map(item => [item.id, forecastRunOut(item.medications, inventory.stock[item.id], todayMedicationStatus)])
+  );
+  const shoppingList = stockItems.filter(item => {
+    const forecast = stockForecasts[item.id];
+    return forecast && forecast.daysOfSupply < inventory.lowSupplyDays;
+  });
+
+  // Medications given only when needed, listed in their own section instead of the daily checklist
+  const asNeededMedications = dayMedications.filter(med => med.recurrence && med.recurrence.type === 'asNeeded');
+
+  // Today's symptoms that the special notes say the family must hear about
+  const familyAlertSymptoms = todaySymptoms.filter(symptom => getSymptomType(symptom.type).alertsFamily);
+
+  const medicalReport = useMemo(() => (showReport && reportRecords && selectedPatient
+    ? buildMedicalReport({ ...reportRange, patient: selectedPatient, regimenVersions, dailyRecordDocs: reportRecords })
+    : null), [showReport, reportRecords, reportRange, selectedPatient, regimenVersions]);
+
+  // Notes shown in the Notas del Día list after applying the category filter
+  const filteredNotes = notesFilter === 'all' ? notes : notes.filter(note => note.category === notesFilter);
+
+  // Readings marked as deleted stay in the record for attribution but are not shown
+  const visibleBloodPressure = bloodPressure.filter(bp => !bp.deleted);
+
+  // Dose shown in the history modal and its administration log for the day
+  const historyDose = getDosesForMedications(dayMedications).find(dose => dose.key === historyDoseKey);
+  const historyEntries = medicationLog.filter(entry => entry.doseKey === historyDoseKey);
 
   // --- Medication Management Functions ---
-  const handleAddEditMedication = async () => {
-    if (!newMedication.name || !newMedication.time || !newMedication.frequency) {
+  // Save a new dated regimen version recording who changed what and why
+  const saveRegimenVersion = (updatedMedications) => {
+    if (!userName) {
+      alert("Por favor, ingresa tu nombre para modificar el tratamiento.");
+      setShowNameInput(true);
+      return false;
+    }
+    if (!regimenChange.effectiveFrom) {
+      alert("Indica desde qué fecha rige el cambio.");
+      return false;
+    }
+    if (latestRegimen && regimenChange.effectiveFrom < latestRegimen.effectiveFrom) {
+      alert(`El cambio no puede regir antes del ${parseFirestoreDate(latestRegimen.effectiveFrom).toLocaleDateString('es-AR')}, fecha del último cambio registrado.`);
+      return false;
+    }
+
+    const changedAt = new Date().toISOString();
+    const versionPath = `${patientPath}/regimenVersions/${regimenChange.effectiveFrom}_${Date.now()}`;
+    runTrackedWrite('Cambio de tratamiento', () => storage.setDoc(versionPath, {
+      effectiveFrom: regimenChange.effectiveFrom,
+      medications: updatedMedications,
+      changedBy: userName,
+      changedByUid: authUser.uid,
+      changedAt,
+      reason: regimenChange.reason.trim(),
+      changes: diffRegimens(medicationDefinitions, updatedMedications),
+    }));
+    setRegimenChange({ effectiveFrom: formatDateForFirestore(new Date()), reason: '' });
+    return true;
+  };
+
+  const handleAddEditMedication = () => {
+    if (!newMedication.name || !newMedication.time || !newMedication.recurrence) {
       alert("Nombre, horario y frecuencia son campos obligatorios.");
       return;
     }
+    const recurrenceError = validateRecurrence(newMedication.recurrence);
+    if (recurrenceError) {
+      alert(recurrenceError);
+      return;
+    }
+    const times = [...new Set(newMedication.times.filter(Boolean))].sort();
 
-    const medDefinitionsDocRef = doc(db, `artifacts/${appId}/public/data/medicationDefinitions`, 'currentDefinitions');
     let updatedMedications;
+    let savedMedication;
 
     if (editMedicationId) {
       // Edit existing medication
-      updatedMedications = medicationDefinitions.map(med =>
-        med.id === editMedicationId ? { ...newMedication, id: editMedicationId } : med
-      );
+      savedMedication = { ...newMedication, times, id: editMedicationId, stockItemId: newMedication.stockItemId || editMedicationId };
+      updatedMedications = medicationDefinitions.map(med => (med.id === editMedicationId ? savedMedication : med));
     } else {
       // Add new medication
-      updatedMedications = [...medicationDefinitions, { ...newMedication, id: Date.now().toString() }];
+      const id = Date.now().toString();
+      savedMedication = { ...newMedication, times, id, stockItemId: newMedication.stockItemId || id };
+      updatedMedications = [...medicationDefinitions, savedMedication];
     }
 
-    try {
-      await setDoc(medDefinitionsDocRef, { medications: updatedMedications });
-      setMedicationDefinitions(updatedMedications);
-      setNewMedication({ id: '', name: '', dosage: '', time: '', frequency: '' });
+    const warnings = checkMedicationWarnings(savedMedication, updatedMedications);
+    if (warnings.length > 0) {
+      const list = warnings.map(warning => `• [${INTERACTION_SEVERITIES[warning.severity]}] ${warning.message}`).join('\n');
+      const confirmed = window.confirm(
+        `Atención:\n\n${list}\n\nEstos avisos no reemplazan la indicación del médico. ¿Guardar de todos modos?`
+      );
+      if (!confirmed) return;
+    }
+
+    if (saveRegimenVersion(updatedMedications)) {
+      setNewMedication(createEmptyMedication());
       setEditMedicationId(null);
-      setShowManageMedications(false); // Close modal after saving
-    } catch (error) {
-      console.error("Error saving medication definitions:", error);
-      alert("Error al guardar los medicamentos. Inténtalo de nuevo.");
+      setView(DEFAULT_VIEW); // Close modal after saving
     }
   };
 
   const handleEditClick = (med) => {
-    setNewMedication(med);
+    setNewMedication({
+      ...med,
+      times: med.times || [],
+      ingredients: med.ingredients || [],
+      dose: { ...DEFAULT_DOSE, ...med.dose },
+      recurrence: { ...DEFAULT_RECURRENCE, ...med.recurrence },
+    });
     setEditMedicationId(med.id);
-    setShowManageMedications(true);
+    setView('medicamentos');
+  };
+
+  const updateNewMedicationDose = (changes) => {
+    setNewMedication({ ...newMedication, dose: { ...newMedication.dose, ...changes } });
+  };
+
+  // Save the time slots. Medications of a renamed slot move to the new name in a regimen version written
+  // in the same batch; the old name is kept on the slot so earlier versions still find it.
+  const handleSaveTimeSlots = (updatedSlots) => {
+    const changedAt = new Date().toISOString();
+    const slotsToSave = updatedSlots.map((slot, index) => {
+      const previous = timeSlots.find(existing => existing.id === slot.id);
+      const previousNames = previous && previous.name !== slot.name ? [...slot.previousNames, previous.name] : slot.previousNames;
+      return { ...slot, order: index, previousNames: [...new Set(previousNames)].filter(name => name !== slot.name) };
+    });
+    const writes = [[`${patientPath}/settings/timeSlots`, { slots: slotsToSave, updatedBy: userName, updatedAt: changedAt }]];
+
+    const renamedMedications = medicationDefinitions.map(med => {
+      const slot = findTimeSlot(slotsToSave, med.time);
+      return slot && slot.name !== med.time ? { ...med, time: slot.name } : med;
+    });
+    const renames = slotsToSave
+      .map(slot => ({ slot, previous: timeSlots.find(existing => existing.id === slot.id) }))
+      .filter(({ slot, previous }) => previous && previous.name !== slot.name);
+    if (latestRegimen && renamedMedications.some((med, index) => med !== medicationDefinitions[index])) {
+      // A version can't take effect before the latest one, which may already be scheduled for a later day
+      const today = formatDateForFirestore(new Date());
+      const effectiveFrom = latestRegimen.effectiveFrom > today ? latestRegimen.effectiveFrom : today;
+      writes.push([`${patientPath}/regimenVersions/${effectiveFrom}_${Date.now()}`, {
+        effectiveFrom,
+        medications: renamedMedications,
+        changedBy: userName,
+        changedByUid: authUser.uid,
+        changedAt,
+        reason: `Horario renombrado: ${renames.map(({ slot, previous }) => `${previous.name} → ${slot.name}`).join(', ')}`,
+        changes: diffRegimens(medicationDefinitions, renamedMedications),
+      }]);
+    }
+
+    runTrackedWrite('Horarios', () => storage.commitWrites(writes));
+    return true;
   };
 
-  const handleDeleteMedication = async (medId) => {
+  const handleDeleteMedication = (medId) => {
     if (window.confirm("¿Estás seguro de que quieres eliminar este medicamento?")) {
-      const medDefinitionsDocRef = doc(db, `artifacts/${appId}/public/data/medicationDefinitions`, 'currentDefinitions');
-      const updatedMedications = medicationDefinitions.filter(med => med.id !== medId);
-
-      try {
-        await setDoc(medDefinitionsDocRef, { medications: updatedMedications });
-        setMedicationDefinitions(updatedMedications);
-      } catch (error) {
-        console.error("Error deleting medication:", error);
-        alert("Error al eliminar el medicamento. Inténtalo de nuevo.");
-      }
+      saveRegimenVersion(medicationDefinitions.filter(med => med.id !== medId));
     }
   };
 
-  if (loading || !isAuthReady) {
+  // Shared by the first-sign-in profile screen and the "Cambiar" button
+  const nameInputModal = (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-700 p-6 rounded-lg shadow-xl w-80">
+        <h3 className="text-xl font-bold mb-4 text-gray-900 dark:text-gray-100">¿Quién eres?</h3>
+        {caregiverProfile === null && (
+          <p className="text-sm mb-4 text-gray-600 dark:text-gray-300">
+            Tu nombre aparecerá junto a cada dosis, nota o registro que hagas.
+          </p>
+        )}
+        <input
+          type="text"
+          className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md mb-4 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+          placeholder="Tu nombre o apodo (ej. Ana, Juan)"
+          value={userName}
+          onChange={(e) => setUserName(e.target.value)}
+          autoFocus
+        />
+        <button
+          onClick={handleSaveUserName}
+          className="w-full px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
+        >
+          Guardar
+        </button>
+      </div>
+    </div>
+  );
+
+  if (authUser === null) {
+    return <SignInScreen />;
+  }
+
+  if (authUser && caregiverProfile === null) {
+    return <div className="min-h-screen bg-gray-100 dark:bg-gray-900">{nameInputModal}</div>;
+  }
+
+  if (loadError) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-4">
+        <div className="max-w-sm text-center space-y-4">
+          <p className="text-lg font-semibold">{loadError}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {isOnline ? 'Puede ser un problema momentáneo del servidor.' : 'Parece que no hay conexión a internet.'}
+          </p>
+          <div className="flex justify-center gap-2">
+            <button
+              onClick={() => window.location.reload()}
+              className="px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md"
+            >
+              Reintentar
+            </button>
+            {authUser && storage.hasAccounts && (
+              <button
+                onClick={() => storage.signOut()}
+                className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+              >
+                Salir
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (isAuthReady && patients && patients.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-4">
+        <div className="text-lg font-semibold text-center">
+          {role === 'admin'
+            ? 'Preparando los datos del paciente...'
+            : 'Todavía no hay pacientes cargados. Pide a un administrador que abra la app.'}
+        </div>
+      </div>
+    );
+  }
+
+  if (loading || !isAuthReady || !selectedPatient) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100">
-        <div className="text-lg font-semibold">Cargando calendario...</div>
+        <div className="text-center">
+          <div className="text-lg font-semibold">Cargando calendario...</div>
+          {!isOnline && (
+            <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">Sin conexión: se mostrarán los datos guardados en este dispositivo.</p>
+          )}
+        </div>
       </div>
     );
   }
 
   return (
     <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-gray-100 font-inter p-4 sm:p-6 lg:p-8 flex flex-col items-center">
-      <div className="w-full max-w-4xl bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 sm:p-8">
+      <div className={`w-full max-w-4xl bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 sm:p-8 ${showReport ? 'print:hidden' : ''}`}>
         <h1 className="text-3xl sm:text-4xl font-bold text-center mb-6 text-indigo-700 dark:text-indigo-400">
-          Calendario de Medicamentos de Mamá
+          Calendario de Medicamentos de {selectedPatient.name}
         </h1>
 
-        {/* User Name Input Modal */}
-        {showNameInput && (
-          <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50">
-            <div className="bg-white dark:bg-gray-700 p-6 rounded-lg shadow-xl w-80">
-              <h3 className="text-xl font-bold mb-4 text-gray-900 dark:text-gray-100">¿Quién eres?</h3>
-              <input
-                type="text"
-                className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md mb-4 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
-                placeholder="Tu nombre o apodo (ej. Ana, Juan)"
-                value={userName}
-                onChange={(e) => setUserName(e.target.value)}
-                autoFocus
-              />
-              <button
-                onClick={handleSaveUserName}
-                className="w-full px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
-              >
-                Guardar
-              </button>
+        {/* Patient Switcher */}
+        <div className="mb-6 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg flex flex-col sm:flex-row sm:items-center gap-4">
+          {selectedPatient.photoUrl ? (
+            <img src={selectedPatient.photoUrl} alt={selectedPatient.name} className="w-16 h-16 rounded-full object-cover self-center" />
+          ) : (
+            <div className="w-16 h-16 rounded-full bg-indigo-200 dark:bg-indigo-800 text-indigo-700 dark:text-indigo-200 text-2xl font-bold flex items-center justify-center self-center">
+              {selectedPatient.name.charAt(0).toUpperCase()}
+            </div>
+          )}
+          <div className="flex-1 space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              {patients.length > 1 ? (
+                <select
+                  className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 font-semibold"
+                  value={selectedPatient.id}
+                  onChange={(e) => handleSelectPatient(e.target.value)}
+                >
+                  {patients.map(patient => (
+                    <option key={patient.id} value={patient.id}>{patient.name}</option>
+                  ))}
+                </select>
+              ) : (
+                <span className="text-lg font-semibold">{selectedPatient.name}</span>
+              )}
+              {canEditRegimen && (
+                <>
+                  <button
+                    onClick={() => setPatientEditor({ patient: selectedPatient })}
+                    className="text-indigo-600 dark:text-indigo-400 hover:underline text-sm"
+                  >
+                    Editar
+                  </button>
+                  <button
+                    onClick={() => setPatientEditor({ patient: null })}
+                    className="text-indigo-600 dark:text-indigo-400 hover:underline text-sm"
+                  >
+                    Nuevo paciente
+                  </button>
+                </>
+              )}
             </div>
+            {selectedPatient.allergies.length > 0 && (
+              <div className="flex flex-wrap items-center gap-1 text-sm">
+                <span className="font-semibold text-red-700 dark:text-red-300">Alergias:</span>
+                {selectedPatient.allergies.map(allergy => (
+                  <span key={allergy} className="px-2 py-0.5 bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200 rounded-full">{allergy}</span>
+                ))}
+              </div>
+            )}
+            {selectedPatient.doctors.length > 0 && (
+              <ul className="text-sm text-gray-600 dark:text-gray-300">
+                {selectedPatient.doctors.map((doctor, index) => (
+                  <li key={index}>
+                    <span className="font-semibold">{doctor.name}</span>
+                    {doctor.specialty && ` (${doctor.specialty})`}
+                    {doctor.phone && (
+                      <a href={`tel:${doctor.phone}`} className="ml-2 text-indigo-600 dark:text-indigo-400 hover:underline">{doctor.phone}</a>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
+        </div>
+
+        {/* Patient Editor Modal */}
+        {patientEditor && (
+          <PatientEditor
+            patient={patientEditor.patient}
+            onSave={handleSavePatient}
+            onClose={() => setPatientEditor(null)}
+          />
         )}
 
+        {/* User Name Input Modal */}
+        {showNameInput && nameInputModal}
+
         <div className="flex justify-between items-center mb-6">
           <button
             onClick={goToPreviousDay}
@@ -391,9 +5014,28 @@ function App() {
           >
             Día Anterior
           </button>
-          <h2 className="text-xl sm:text-2xl font-semibold text-center">
-            {currentDate.toLocaleDateString('es-AR', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-          </h2>
+          <div className="text-center">
+            <h2 className="text-xl sm:text-2xl font-semibold">
+              {currentDate.toLocaleDateString('es-AR', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+            </h2>
+            <div className="mt-1 flex justify-center items-center gap-2 text-sm">
+              <input
+                type="date"
+                value={formatDateForFirestore(currentDate)}
+                onChange={(e) => handlePickDate(e.target.value)}
+                aria-label="Ir a la fecha"
+                className="p-1 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              />
+              <button
+                onClick={goToToday}
+                disabled={formatDateForFirestore(currentDate) === formatDateForFirestore(now)}
+                title="Atajos: ← y → cambian de día, H vuelve a hoy"
+                className="px-3 py-1 bg-indigo-100 hover:bg-indigo-200 dark:bg-indigo-900 dark:hover:bg-indigo-800 text-indigo-700 dark:text-indigo-200 rounded-md disabled:opacity-50"
+              >
+                Hoy
+              </button>
+            </div>
+          </div>
           <button
             onClick={goToNextDay}
             className="px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
@@ -402,99 +5044,421 @@ function App() {
           </button>
         </div>
 
+        <div className="mb-6 text-center">
+          <button
+            onClick={openAdherenceHistory}
+            className="px-4 py-2 bg-indigo-100 hover:bg-indigo-200 dark:bg-indigo-900 dark:hover:bg-indigo-800 text-indigo-700 dark:text-indigo-200 rounded-lg shadow-sm"
+          >
+            Ver historial del mes
+          </button>
+        </div>
+
+        {/* Adherence History Modal */}
+        {showAdherenceHistory && (
+          <AdherenceHistory
+            month={adherenceMonth}
+            records={adherenceRecords}
+            regimenVersions={regimenVersions}
+            onSelectDay={handleSelectHistoryDay}
+            onChangeMonth={changeAdherenceMonth}
+            onClose={() => setView(DEFAULT_VIEW)}
+          />
+        )}
+
         {/* Current User Display */}
         {userName && (
           <div className="mb-6 p-3 bg-blue-100 dark:bg-blue-900 rounded-lg text-blue-800 dark:text-blue-200 text-center">
             <p className="text-sm sm:text-base">
               Estás usando la app como: <span className="font-bold">{userName}</span>
+              <span className="ml-1">({ROLES[role].label})</span>
               <button
                 onClick={() => setShowNameInput(true)}
                 className="ml-2 text-indigo-600 dark:text-indigo-400 hover:underline text-sm"
               >
                 Cambiar
               </button>
+              {canEditRegimen && (
+                <button
+                  onClick={() => setShowCaregiverManager(true)}
+                  className="ml-2 text-indigo-600 dark:text-indigo-400 hover:underline text-sm"
+                >
+                  Permisos
+                </button>
+              )}
+              <button
+                onClick={() => setView('ajustes')}
+                className="ml-2 text-indigo-600 dark:text-indigo-400 hover:underline text-sm"
+              >
+                Ajustes
+              </button>
+              {storage.hasAccounts && (
+                <button
+                  onClick={() => storage.signOut()}
+                  className="ml-2 text-indigo-600 dark:text-indigo-400 hover:underline text-sm"
+                >
+                  Salir
+                </button>
+              )}
             </p>
           </div>
         )}
 
-        {/* Additional Notes Section */}
-        <div className="mb-6 p-4 bg-yellow-100 dark:bg-yellow-900 rounded-lg text-yellow-800 dark:text-yellow-200">
-          <h3 className="text-xl font-bold mb-2 text-yellow-900 dark:text-yellow-100">Notas y Consideraciones Especiales:</h3>
-          <ul className="list-disc list-inside text-sm sm:text-base">
-            <li>Tomar la presión 2 veces por semana y anotarlo.</li>
-            <li>En caso de diarrea, suministrar Miopropan.</li>
-            <li>En caso de dolor de cabeza, suministrar Naproxeno.</li>
-            <li>Avisar a la familia en caso de: Diarrea, fiebre, infección.</li>
-          </ul>
-        </div>
+        {/* Settings Modal */}
+        {showSettings && (
+          <SettingsPanel
+            notificationPermission={notificationPermission}
+            onEnableReminders={handleEnableReminders}
+            digestHour={digestHour}
+            onChangeDigestHour={canEditRegimen ? handleSaveDigestHour : null}
+            onEditTimeSlots={canEditRegimen ? () => setShowTimeSlotManager(true) : null}
+            storageKind={storage.kind}
+            availableBackends={storage.availableBackends}
+            onChangeStorageBackend={canEditRegimen ? handleChangeStorageBackend : null}
+            onClose={() => setView(DEFAULT_VIEW)}
+          />
+        )}
+
+        {/* Caregiver Roles Modal */}
+        {showCaregiverManager && (
+          <CaregiverManager
+            caregivers={caregivers}
+            currentUid={authUser.uid}
+            onChangeRole={handleChangeRole}
+            onClose={() => setShowCaregiverManager(false)}
+          />
+        )}
+
+        {/* Family Alert Banner */}
+        {familyAlertSymptoms.length > 0 && (
+          <div className="mb-6 p-4 bg-red-600 text-white rounded-lg shadow-lg" role="alert">
+            <h3 className="text-xl font-bold mb-2">Avisar a la familia</h3>
+            <ul className="space-y-1 text-sm sm:text-base">
+              {familyAlertSymptoms.map(symptom => {
+                const suggestedMedication = findSuggestedMedication(symptom.type, todayMedications);
+                return (
+                  <li key={symptom.id}>
+                    <span className="font-bold">{getSymptomType(symptom.type).label}</span>
+                    {symptom.temperature && ` (${symptom.temperature} °C)`} - {symptom.severity.toLowerCase()},{' '}
+                    a las {formatTimeOfDay(symptom.timestamp)}, registrado por {symptom.author}.
+                    {suggestedMedication && ` Según las indicaciones: ${suggestedMedication.name}.`}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {/* End-of-day Digest Banner */}
+        {showDigestBanner && (
+          <div className="mb-6 p-4 bg-orange-100 dark:bg-orange-900 text-orange-900 dark:text-orange-100 rounded-lg shadow-md">
+            <h3 className="text-lg font-bold mb-2">Dosis de hoy sin marcar ({todayDigest.missed.length})</h3>
+            <ul className="text-sm sm:text-base mb-3">
+              {todayDigest.lines.map(line => <li key={line}>{line}</li>)}
+            </ul>
+            <button
+              onClick={() => shareViaWhatsApp(todayDigest.message)}
+              className="px-3 py-1 bg-green-500 hover:bg-green-600 text-white rounded-md text-sm"
+            >
+              Compartir resumen por WhatsApp
+            </button>
+          </div>
+        )}
+
+        {/* Reminder Notifications */}
+        {notificationPermission !== 'granted' && notificationPermission !== 'unsupported' && (
+          <div className="mb-6 p-3 bg-indigo-100 dark:bg-indigo-900 rounded-lg text-indigo-800 dark:text-indigo-200 text-center text-sm sm:text-base">
+            {notificationPermission === 'denied'
+              ? 'Los recordatorios están bloqueados. Actívalos en la configuración del navegador para recibir avisos de cada dosis.'
+              : (
+                <>
+                  Recibe un aviso cuando toque una dosis y si sigue sin marcarse.
+                  <button
+                    onClick={handleEnableReminders}
+                    className="ml-2 px-3 py-1 bg-indigo-500 hover:bg-indigo-600 text-white rounded-md text-sm"
+                  >
+                    Activar recordatorios
+                  </button>
+                </>
+              )}
+          </div>
+        )}
+
+        {/* Care Instructions and Emergency Contacts */}
+        <CareInstructions
+          instructions={careInstructions.instructions}
+          contacts={careInstructions.contacts}
+          medications={medicationDefinitions}
+          canEdit={canRecord}
+          onSaveInstruction={(instruction) => saveCareItem('instructions', instruction, 'Indicación')}
+          onDeleteInstruction={(id) => deleteCareItem('instructions', id, 'Eliminar indicación')}
+          onSaveContact={(contact) => saveCareItem('contacts', contact, 'Contacto')}
+          onDeleteContact={(id) => deleteCareItem('contacts', id, 'Eliminar contacto')}
+        />
 
         {/* Medication List */}
-        {Object.keys(groupedMedications).sort((a, b) => {
-          // Custom sort order for medication times
-          const order = ['Ayunas', 'Mañana Post desayuno', 'Antes de Comer 13hs', 'Tarde 18hs', 'Noche', 'Mensual'];
-          return order.indexOf(a) - order.indexOf(b);
-        }).map((time) => (
-          <div key={time} className="mb-6">
-            <h3 className="text-2xl font-bold mb-4 text-gray-800 dark:text-gray-200 border-b-2 border-indigo-300 dark:border-indigo-700 pb-2">
-              {time}
-            </h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              {groupedMedications[time].map((med) => (
-                <div
-                  key={med.id}
-                  className={`flex items-center p-4 rounded-lg shadow-sm transition-all duration-200
-                    ${medicationStatus[med.id] ? 'bg-green-100 dark:bg-green-700 border-l-4 border-green-500' : 'bg-gray-50 dark:bg-gray-700 border-l-4 border-gray-300 dark:border-gray-600'}`}
-                >
-                  <input
-                    type="checkbox"
-                    id={med.id}
-                    checked={!!medicationStatus[med.id]}
-                    onChange={() => handleToggleMedication(med.id)}
-                    className="form-checkbox h-6 w-6 text-indigo-600 rounded-md transition-colors duration-200 mr-4 cursor-pointer"
-                  />
-                  <label htmlFor={med.id} className="flex-1 text-lg font-medium cursor-pointer">
-                    {med.name} {med.dosage && <span className="text-gray-600 dark:text-gray-300 text-base">({med.dosage})</span>}
-                  </label>
-                </div>
-              ))}
+        {slotNamesToDisplay.map((time) => {
+          const slot = findTimeSlot(timeSlots, time);
+          const color = SLOT_COLORS[slot ? slot.color : 'gray'] || SLOT_COLORS.gray;
+          const isNowSlot = !!nowSlot && nowSlot.slot.name === time;
+          return (
+            <div key={time} className={`mb-6 ${isNowSlot ? `p-2 rounded-lg ring-2 ${color.ring}` : ''}`}>
+              <h3 className={`flex flex-wrap items-center gap-2 text-2xl font-bold mb-4 text-gray-800 dark:text-gray-200 border-b-2 ${color.border} pb-2`}>
+                {time}
+                {slot && slot.time && <span className="text-base font-normal text-gray-500 dark:text-gray-400">{slot.time}</span>}
+                {isNowSlot && (
+                  <span className={`px-2 py-0.5 rounded-full text-sm font-semibold text-white ${color.dot}`}>
+                    {nowSlot.status === 'current' ? 'Ahora' : 'Próximo'}
+                  </span>
+                )}
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {groupedMedications[time].map(({ key, med, time: doseTime }) => {
+                  const latestEntry = getLatestLogEntry(medicationLog, key);
+                  return (
+                    <div
+                      key={key}
+                      className={`flex items-center p-4 rounded-lg shadow-sm transition-all duration-200
+                        ${medicationStatus[key] ? 'bg-green-100 dark:bg-green-700 border-l-4 border-green-500' : 'bg-gray-50 dark:bg-gray-700 border-l-4 border-gray-300 dark:border-gray-600'}`}
+                    >
+                      <input
+                        type="checkbox"
+                        id={key}
+                        checked={!!medicationStatus[key]}
+                        onChange={() => handleToggleMedication(key)}
+                        disabled={!canRecord}
+                        className="form-checkbox h-6 w-6 text-indigo-600 rounded-md transition-colors duration-200 mr-4 cursor-pointer"
+                      />
+                      <div className="flex-1">
+                        <label htmlFor={key} className="block text-lg font-medium cursor-pointer">
+                          {med.name} {describeDose(med) && <span className="text-gray-600 dark:text-gray-300 text-base">({describeDose(med)})</span>}
+                        </label>
+                        {getLinkedInstructions(careInstructions.instructions, 'medication', med.id).map(instruction => (
+                          <div key={instruction.id} className="text-sm text-yellow-800 dark:text-yellow-200">{renderRichText(instruction.text)}</div>
+                        ))}
+                        <button
+                          onClick={() => setHistoryDoseKey(key)}
+                          className="text-sm text-gray-600 dark:text-gray-300 hover:underline text-left"
+                        >
+                          {latestEntry
+                            ? `${latestEntry.given ? 'dado' : 'desmarcado'} por ${latestEntry.author} a las ${formatTimeOfDay(latestEntry.timestamp)}`
+                            : 'Historial'}
+                        </button>
+                      </div>
+                      {doseTime && (
+                        <span className="ml-2 px-2 py-1 bg-indigo-100 dark:bg-indigo-800 text-indigo-700 dark:text-indigo-200 rounded-md text-sm font-semibold">
+                          {doseTime}
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
             </div>
+          );
+        })}
+
+        {/* As-Needed Medications Section */}
+        {asNeededMedications.length > 0 && (
+          <div className="mb-6 p-4 bg-orange-100 dark:bg-orange-900 rounded-lg text-orange-800 dark:text-orange-200">
+            <h3 className="text-xl font-bold mb-4 text-orange-900 dark:text-orange-100 border-b-2 border-orange-300 dark:border-orange-700 pb-2">
+              Según Necesidad
+            </h3>
+            <ul className="space-y-3">
+              {asNeededMedications.map(med => {
+                const dosesToday = prnDoses.filter(dose => dose.medId === med.id);
+                return (
+                  <li key={med.id} className="p-3 bg-orange-50 dark:bg-orange-800 rounded-md">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                      <div>
+                        <span className="font-bold text-lg">{med.name}</span>
+                        {describeDose(med) && <span className="text-sm"> ({describeDose(med)})</span>}
+                        {med.recurrence.condition && <span className="block text-sm">{med.recurrence.condition}</span>}
+                        {(med.minIntervalHours || med.maxDosesPer24h) && (
+                          <span className="block text-xs">
+                            {[med.minIntervalHours && `cada ${med.minIntervalHours} h como mínimo`, med.maxDosesPer24h && `máximo ${med.maxDosesPer24h} en 24 h`].filter(Boolean).join(', ')}
+                          </span>
+                        )}
+                      </div>
+                      {canRecord && (
+                        <button
+                          onClick={() => openPrnForm(med.id)}
+                          className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
+                        >
+                          Dar dosis
+                        </button>
+                      )}
+                    </div>
+                    {prnForm && prnForm.medId === med.id && (
+                      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-3">
+                        <input
+                          type="text"
+                          className="sm:col-span-2 w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                          placeholder="Motivo (ej. dolor de cabeza)"
+                          value={prnForm.reason}
+                          onChange={(e) => setPrnForm({ ...prnForm, reason: e.target.value })}
+                        />
+                        <input
+                          type="time"
+                          title={isViewingToday ? 'Hora (vacío = ahora)' : 'Hora'}
+                          className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                          value={prnForm.time}
+                          onChange={(e) => setPrnForm({ ...prnForm, time: e.target.value })}
+                        />
+                        <div className="sm:col-span-3 flex gap-2">
+                          <button onClick={handleGivePrnDose} className="px-3 py-1 bg-orange-500 hover:bg-orange-600 text-white rounded-md text-sm">
+                            Registrar dosis
+                          </button>
+                          <button onClick={() => setPrnForm(null)} className="px-3 py-1 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-md text-sm">
+                            Cancelar
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    {dosesToday.length > 0 && (
+                      <ul className="mt-2 space-y-1 text-sm">
+                        {dosesToday.map(dose => (
+                          <li key={dose.id}>
+                            Dada a las {formatTimeOfDay(dose.timestamp)} por <span className="font-medium">{dose.author}</span>
+                            {dose.reason && ` - ${dose.reason}`}
+                            {dose.intervalWarning && <span className="text-red-700 dark:text-red-300"> (antes del intervalo mínimo)</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
           </div>
-        ))}
+        )}
 
         {/* Blood Pressure Section */}
         <div className="mb-6 p-4 bg-purple-100 dark:bg-purple-900 rounded-lg text-purple-800 dark:text-purple-200">
           <h3 className="text-xl font-bold mb-4 text-purple-900 dark:text-purple-100 border-b-2 border-purple-300 dark:border-purple-700 pb-2">
             Registro de Presión Arterial
           </h3>
-          <div className="flex flex-col sm:flex-row gap-4 mb-4">
-            <input
-              type="number"
-              ref={systolicRef}
-              className="flex-1 p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
-              placeholder="Sistólica (ej. 120)"
-            />
-            <input
-              type="number"
-              ref={diastolicRef}
-              className="flex-1 p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
-              placeholder="Diastólica (ej. 80)"
-            />
-            <button
-              onClick={handleAddBloodPressure}
-              className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
-            >
-              Registrar Presión
-            </button>
-          </div>
-          {bloodPressure.length > 0 && (
-            <div className="mt-4 max-h-40 overflow-y-auto">
+          {canRecord && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-4 mb-4">
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  placeholder="Sistólica (ej. 120)"
+                  value={bloodPressureForm.systolic}
+                  onChange={(e) => setBloodPressureForm({ ...bloodPressureForm, systolic: e.target.value })}
+                />
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  placeholder="Diastólica (ej. 80)"
+                  value={bloodPressureForm.diastolic}
+                  onChange={(e) => setBloodPressureForm({ ...bloodPressureForm, diastolic: e.target.value })}
+                />
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  placeholder="Pulso (opcional)"
+                  value={bloodPressureForm.pulse}
+                  onChange={(e) => setBloodPressureForm({ ...bloodPressureForm, pulse: e.target.value })}
+                />
+                <select
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  value={bloodPressureForm.arm}
+                  onChange={(e) => setBloodPressureForm({ ...bloodPressureForm, arm: e.target.value })}
+                >
+                  <option value="">Brazo (opcional)</option>
+                  {BLOOD_PRESSURE_ARMS.map(arm => <option key={arm} value={arm}>{arm}</option>)}
+                </select>
+                <select
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  value={bloodPressureForm.position}
+                  onChange={(e) => setBloodPressureForm({ ...bloodPressureForm, position: e.target.value })}
+                >
+                  <option value="">Posición (opcional)</option>
+                  {BLOOD_PRESSURE_POSITIONS.map(position => <option key={position} value={position}>{position}</option>)}
+                </select>
+                <input
+                  type="time"
+                  title="Hora de la toma (vacío = ahora)"
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  value={bloodPressureForm.time}
+                  onChange={(e) => setBloodPressureForm({ ...bloodPressureForm, time: e.target.value })}
+                />
+              </div>
+              {bloodPressureError && (
+                <p className="mb-4 p-2 bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200 rounded-md text-sm">{bloodPressureError}</p>
+              )}
+              <div className="mb-4">
+                <button
+                  onClick={handleSaveBloodPressure}
+                  className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105 mr-2"
+                >
+                  {editBloodPressureId ? 'Guardar Cambios' : 'Registrar Presión'}
+                </button>
+                {editBloodPressureId && (
+                  <button
+                    onClick={handleCancelBloodPressureEdit}
+                    className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition-transform transform hover:scale-105"
+                  >
+                    Cancelar Edición
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+          {weeklyBloodPressureCount < WEEKLY_BLOOD_PRESSURE_READINGS && (
+            <p className="mb-4 p-2 bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200 rounded-md text-sm">
+              Esta semana hay {weeklyBloodPressureCount} de {WEEKLY_BLOOD_PRESSURE_READINGS} tomas de presión registradas.
+            </p>
+          )}
+          <button
+            onClick={() => setShowBloodPressureTrend(true)}
+            className="text-sm text-purple-700 dark:text-purple-300 hover:underline"
+          >
+            Ver evolución
+          </button>
+          {visibleBloodPressure.length > 0 && (
+            <div className="mt-4 max-h-60 overflow-y-auto">
               <h4 className="font-semibold mb-2">Registros del día:</h4>
               <ul className="space-y-2">
-                {bloodPressure.map((bp, index) => (
-                  <li key={index} className="p-2 bg-purple-50 dark:bg-purple-800 rounded-md text-sm">
-                    <span className="font-bold">{bp.systolic}/{bp.diastolic} mmHg</span> -{' '}
-                    {new Date(bp.timestamp).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })} por{' '}
-                    <span className="font-medium">{bp.author}</span>
+                {visibleBloodPressure.map((bp) => (
+                  <li
+                    key={bp.id}
+                    className={`flex items-start justify-between p-2 rounded-md text-sm ${getOutOfRangeValues(bp, bloodPressureTargets).length > 0 ? 'bg-orange-100 dark:bg-orange-800 border-l-4 border-orange-500' : 'bg-purple-50 dark:bg-purple-800'}`}
+                  >
+                    <div>
+                      <span className="font-bold">{bp.systolic}/{bp.diastolic} mmHg</span>
+                      {bp.pulse && <span> - {bp.pulse} lpm</span>} -{' '}
+                      {new Date(bp.timestamp).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })} por{' '}
+                      <span className="font-medium">{bp.author}</span>
+                      {(bp.arm || bp.position) && (
+                        <span className="text-purple-700 dark:text-purple-300"> ({[bp.arm && `brazo ${bp.arm.toLowerCase()}`, bp.position && bp.position.toLowerCase()].filter(Boolean).join(', ')})</span>
+                      )}
+                      {bp.updatedBy && (
+                        <span className="block text-xs text-gray-600 dark:text-gray-400">
+                          editado por {bp.updatedBy} a las {formatTimeOfDay(bp.updatedAt)}
+                        </span>
+                      )}
+                    </div>
+                    {canRecord && (
+                      <div className="flex space-x-2 ml-2">
+                        <button
+                          onClick={() => handleEditBloodPressure(bp)}
+                          className="px-2 py-1 bg-yellow-500 hover:bg-yellow-600 text-white rounded-md text-xs"
+                        >
+                          Editar
+                        </button>
+                        <button
+                          onClick={() => handleDeleteBloodPressure(bp.id)}
+                          className="px-2 py-1 bg-red-500 hover:bg-red-600 text-white rounded-md text-xs"
+                        >
+                          Eliminar
+                        </button>
+                      </div>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -502,65 +5466,483 @@ function App() {
           )}
         </div>
 
+        {/* Symptoms Section */}
+        <div className="mb-6 p-4 bg-red-100 dark:bg-red-900 rounded-lg text-red-800 dark:text-red-200">
+          <h3 className="text-xl font-bold mb-4 text-red-900 dark:text-red-100 border-b-2 border-red-300 dark:border-red-700 pb-2">
+            Síntomas y Eventos
+          </h3>
+          {canRecord && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4">
+                <select
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  value={symptomForm.type}
+                  onChange={(e) => setSymptomForm({ ...symptomForm, type: e.target.value })}
+                >
+                  {SYMPTOM_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                </select>
+                <select
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  value={symptomForm.severity}
+                  onChange={(e) => setSymptomForm({ ...symptomForm, severity: e.target.value })}
+                >
+                  {SYMPTOM_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                </select>
+                {getSymptomType(symptomForm.type).requiresTemperature && (
+                  <input
+                    type="number"
+                    step="0.1"
+                    className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                    placeholder="Temperatura °C"
+                    value={symptomForm.temperature}
+                    onChange={(e) => setSymptomForm({ ...symptomForm, temperature: e.target.value })}
+                  />
+                )}
+                <input
+                  type="time"
+                  title="Hora (vacío = ahora)"
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  value={symptomForm.time}
+                  onChange={(e) => setSymptomForm({ ...symptomForm, time: e.target.value })}
+                />
+                <input
+                  type="text"
+                  className="col-span-2 sm:col-span-4 w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  placeholder="Detalles (opcional)"
+                  value={symptomForm.details}
+                  onChange={(e) => setSymptomForm({ ...symptomForm, details: e.target.value })}
+                />
+              </div>
+              {getLinkedInstructions(careInstructions.instructions, 'symptom', symptomForm.type).map(instruction => (
+                <div key={instruction.id} className="mb-4 p-2 bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 rounded-md text-sm">
+                  {renderRichText(instruction.text)}
+                </div>
+              ))}
+              {symptomError && (
+                <p className="mb-4 p-2 bg-red-200 dark:bg-red-800 rounded-md text-sm">{symptomError}</p>
+              )}
+              <button
+                onClick={handleAddSymptom}
+                className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
+              >
+                Registrar Síntoma
+              </button>
+            </>
+          )}
+          {symptoms.length > 0 && (
+            <div className="mt-4 max-h-60 overflow-y-auto">
+              <h4 className="font-semibold mb-2">Registros del día:</h4>
+              <ul className="space-y-2">
+                {symptoms.map(symptom => {
+                  const suggestedMedication = findSuggestedMedication(symptom.type, dayMedications);
+                  return (
+                    <li key={symptom.id} className="p-2 bg-red-50 dark:bg-red-800 rounded-md text-sm">
+                      <span className="font-bold">{getSymptomType(symptom.type).label}</span>
+                      {symptom.temperature && ` ${symptom.temperature} °C`} ({symptom.severity.toLowerCase()}) -{' '}
+                      {formatTimeOfDay(symptom.timestamp)} por <span className="font-medium">{symptom.author}</span>
+                      {symptom.details && <span className="block">"{symptom.details}"</span>}
+                      {suggestedMedication && (
+                        <span className="block mt-1 font-medium">
+                          Sugerencia: {suggestedMedication.name}{describeDose(suggestedMedication) && ` (${describeDose(suggestedMedication)})`}
+                          {canRecord && (
+                            <button
+                              onClick={() => openPrnForm(suggestedMedication.id, getSymptomType(symptom.type).label)}
+                              className="ml-2 px-2 py-0.5 bg-orange-500 hover:bg-orange-600 text-white rounded-md text-xs"
+                            >
+                              Dar dosis
+                            </button>
+                          )}
+                        </span>
+                      )}
+                      {canRecord && isOwnRecord(symptom) && (
+                        <button onClick={() => handleDeleteSymptom(symptom.id)} className="mt-1 text-xs text-red-600 dark:text-red-300 hover:underline">
+                          Eliminar
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {/* Blood Pressure Trend Modal */}
+        {showBloodPressureTrend && (
+          <BloodPressureTrend
+            rangeDays={bloodPressureRangeDays}
+            onChangeRange={setBloodPressureRangeDays}
+            readings={bloodPressureTrend}
+            targets={bloodPressureTargets}
+            onSaveTargets={canEditRegimen ? handleSaveBloodPressureTargets : null}
+            onClose={() => setShowBloodPressureTrend(false)}
+          />
+        )}
+
         {/* Notes Section */}
         <div className="mb-6 p-4 bg-teal-100 dark:bg-teal-900 rounded-lg text-teal-800 dark:text-teal-200">
           <h3 className="text-xl font-bold mb-4 text-teal-900 dark:text-teal-100 border-b-2 border-teal-300 dark:border-teal-700 pb-2">
             Notas del Día
           </h3>
-          <textarea
-            ref={noteInputRef}
-            className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md mb-4 h-24 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
-            placeholder="Escribe aquí cualquier nota adicional..."
-          ></textarea>
-          <button
-            onClick={handleAddNote}
-            className="px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
-          >
-            Añadir Nota
-          </button>
+          {canRecord && (
+            <>
+              <textarea
+                ref={noteInputRef}
+                className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md mb-4 h-24 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                placeholder="Escribe aquí cualquier nota adicional..."
+              ></textarea>
+              <div className="flex flex-wrap gap-2">
+                <select
+                  className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  value={newNoteCategory}
+                  onChange={(e) => setNewNoteCategory(e.target.value)}
+                >
+                  {NOTE_CATEGORIES.map(category => (
+                    <option key={category.value} value={category.value}>{category.label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleAddNote}
+                  className="px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg shadow-md transition-transform transform hover:scale-105"
+                >
+                  Añadir Nota
+                </button>
+              </div>
+            </>
+          )}
           {notes.length > 0 && (
-            <div className="mt-4 max-h-40 overflow-y-auto">
+            <div className="mt-4 max-h-80 overflow-y-auto">
               <h4 className="font-semibold mb-2">Notas registradas:</h4>
+              <div className="flex flex-wrap gap-2 mb-2">
+                {[{ value: 'all', label: 'Todas' }, ...NOTE_CATEGORIES].map(category => (
+                  <button
+                    key={category.value}
+                    onClick={() => setNotesFilter(category.value)}
+                    className={`px-2 py-1 rounded-md text-xs ${notesFilter === category.value ? 'bg-teal-500 text-white' : 'bg-teal-50 dark:bg-teal-800'}`}
+                  >
+                    {category.label}
+                  </button>
+                ))}
+              </div>
               <ul className="space-y-2">
-                {notes.map((note, index) => (
-                  <li key={index} className="p-2 bg-teal-50 dark:bg-teal-800 rounded-md text-sm">
-                    "{note.text}" -{' '}
-                    {new Date(note.timestamp).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })} por{' '}
-                    <span className="font-medium">{note.author}</span>
+                {filteredNotes.map((note) => (
+                  <li key={note.id} className="p-2 bg-teal-50 dark:bg-teal-800 rounded-md text-sm">
+                    {editNoteId === note.id ? (
+                      <div className="space-y-2">
+                        <textarea
+                          className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md h-20 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                          value={editNoteDraft.text}
+                          onChange={(e) => setEditNoteDraft({ ...editNoteDraft, text: e.target.value })}
+                        ></textarea>
+                        <div className="flex flex-wrap gap-2">
+                          <select
+                            className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                            value={editNoteDraft.category}
+                            onChange={(e) => setEditNoteDraft({ ...editNoteDraft, category: e.target.value })}
+                          >
+                            {NOTE_CATEGORIES.map(category => (
+                              <option key={category.value} value={category.value}>{category.label}</option>
+                            ))}
+                          </select>
+                          <button onClick={handleSaveNoteEdit} className="px-3 py-1 bg-teal-500 hover:bg-teal-600 text-white rounded-md text-sm">
+                            Guardar
+                          </button>
+                          <button onClick={() => setEditNoteId(null)} className="px-3 py-1 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-md text-sm">
+                            Cancelar
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <>
+                        <span className={`inline-block px-2 py-0.5 mr-1 rounded-full text-xs ${getNoteCategory(note.category).className}`}>
+                          {getNoteCategory(note.category).label}
+                        </span>
+                        "{note.text}" -{' '}
+                        {new Date(note.timestamp).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit' })} por{' '}
+                        <span className="font-medium">{note.author}</span>
+                        {note.editedAt && <span className="text-xs text-gray-600 dark:text-gray-400"> (editado)</span>}
+                        {note.relevant && (
+                          <span className="inline-block px-2 py-0.5 ml-1 rounded-full text-xs bg-yellow-200 text-yellow-900">★ Relevante</span>
+                        )}
+                        {canRecord && (
+                          <div className="flex flex-wrap gap-2 mt-1">
+                            <button onClick={() => handleToggleNoteRelevant(note)} className="text-xs text-teal-700 dark:text-teal-300 hover:underline">
+                              {note.relevant ? 'Quitar de relevantes' : 'Marcar relevante'}
+                            </button>
+                            {isOwnRecord(note) && (
+                              <>
+                                <button onClick={() => handleEditNote(note)} className="text-xs text-teal-700 dark:text-teal-300 hover:underline">
+                                  Editar
+                                </button>
+                                <button
+                                  onClick={() => {
+                                    setEditNoteId(null);
+                                    setMoveNoteId(note.id);
+                                  }}
+                                  className="text-xs text-teal-700 dark:text-teal-300 hover:underline"
+                                >
+                                  Mover a otro día
+                                </button>
+                                <button onClick={() => handleDeleteNote(note.id)} className="text-xs text-red-600 dark:text-red-300 hover:underline">
+                                  Eliminar
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
+                        {moveNoteId === note.id && (
+                          <div className="flex flex-wrap gap-2 mt-2">
+                            <input
+                              type="date"
+                              className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                              value={moveNoteDate}
+                              onChange={(e) => setMoveNoteDate(e.target.value)}
+                            />
+                            <button onClick={handleMoveNote} className="px-3 py-1 bg-teal-500 hover:bg-teal-600 text-white rounded-md text-sm">
+                              Mover
+                            </button>
+                            <button onClick={() => setMoveNoteId(null)} className="px-3 py-1 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-md text-sm">
+                              Cancelar
+                            </button>
+                          </div>
+                        )}
+                      </>
+                    )}
                   </li>
                 ))}
               </ul>
+              {filteredNotes.length === 0 && (
+                <p className="text-sm">No hay notas de esta categoría.</p>
+              )}
             </div>
           )}
         </div>
 
+        {/* Shopping List */}
+        {shoppingList.length > 0 && (
+          <div className="mb-6 p-4 bg-amber-100 dark:bg-amber-900 rounded-lg text-amber-800 dark:text-amber-200">
+            <h3 className="text-xl font-bold mb-2 text-amber-900 dark:text-amber-100">Comprar pronto:</h3>
+            <ul className="list-disc list-inside text-sm sm:text-base">
+              {shoppingList.map(item => (
+                <li key={item.id}>
+                  {item.name}: quedan {inventory.stock[item.id]} unidades,{' '}
+                  {stockForecasts[item.id].daysOfSupply === 0
+                    ? 'no alcanza para hoy'
+                    : `alcanza hasta el ${stockForecasts[item.id].runOutDate.toLocaleDateString('es-AR')}`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Time Slots Modal */}
+        {showTimeSlotManager && (
+          <TimeSlotManager
+            slots={timeSlots}
+            medications={medicationDefinitions}
+            onSave={handleSaveTimeSlots}
+            onClose={() => setShowTimeSlotManager(false)}
+          />
+        )}
+
+        {/* Activity Feed Modal */}
+        {showActivityFeed && (
+          <ActivityFeed
+            items={activityRecords && buildActivityFeed(activityRecords, regimenVersions, activityStart.toISOString())}
+            days={activityDays}
+            onChangeDays={setActivityDays}
+            digest={todayDigest}
+            digestHour={digestHour}
+            onChangeDigestHour={canEditRegimen ? handleSaveDigestHour : null}
+            onShareDigest={() => shareViaWhatsApp(todayDigest.message)}
+            onClose={() => setShowActivityFeed(false)}
+          />
+        )}
+
+        {/* Share Summary Modal */}
+        {showShareSummary && (
+          <ShareSummary
+            period={sharePeriod}
+            onChangePeriod={setSharePeriod}
+            text={shareSummaryText}
+            onShareWhatsApp={() => shareViaWhatsApp(shareSummaryText)}
+            onShareNative={navigator.share ? () => handleShareNative(shareSummaryText) : null}
+            onCopy={() => handleCopySummary(shareSummaryText)}
+            onShareLink={() => shareViaWhatsApp()}
+            onClose={() => setShowShareSummary(false)}
+          />
+        )}
+
+        {/* Inventory Modal */}
+        {showInventory && (
+          <InventoryManager
+            medications={medicationDefinitions}
+            inventory={inventory}
+            forecasts={stockForecasts}
+            onRecordPurchase={handleRecordPurchase}
+            onSetStock={handleSetStock}
+            onSaveLowSupplyDays={handleSaveLowSupplyDays}
+            onClose={() => setShowInventory(false)}
+          />
+        )}
+
         {/* Manage Medications Button */}
         <div className="mt-8 text-center">
+          {canEditRegimen && (
+            <button
+              onClick={() => setView('medicamentos')}
+              className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-75 mr-4"
+            >
+              Administrar Medicamentos
+            </button>
+          )}
+          {canRecord && (
+            <button
+              onClick={() => setShowInventory(true)}
+              className="px-6 py-3 bg-amber-500 hover:bg-amber-600 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-amber-400 focus:ring-opacity-75 mr-4"
+            >
+              Inventario
+            </button>
+          )}
           <button
-            onClick={() => setShowManageMedications(true)}
-            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-75 mr-4"
+            onClick={() => setShowBackupManager(true)}
+            className="px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-opacity-75 mr-4"
           >
-            Administrar Medicamentos
+            Copia de seguridad
           </button>
           <button
-            onClick={shareViaWhatsApp}
+            onClick={() => setShowActivityFeed(true)}
+            className="px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-75 mr-4"
+          >
+            Actividad
+          </button>
+          <button
+            onClick={() => setShowReport(true)}
+            className="px-6 py-3 bg-teal-600 hover:bg-teal-700 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-opacity-75 mr-4"
+          >
+            Informe médico
+          </button>
+          <button
+            onClick={() => setShowShareSummary(true)}
             className="px-6 py-3 bg-green-500 hover:bg-green-600 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-green-400 focus:ring-opacity-75"
           >
-            Compartir por WhatsApp
+            Compartir
           </button>
+          {installPrompt && (
+            <button
+              onClick={handleInstallApp}
+              className="ml-4 px-6 py-3 bg-indigo-500 hover:bg-indigo-600 text-white font-bold rounded-lg shadow-xl transition-transform transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-indigo-400 focus:ring-opacity-75"
+            >
+              Instalar app
+            </button>
+          )}
           {showShareMessage && (
             <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
-              Se ha abierto WhatsApp para compartir el enlace.
+              Se ha abierto WhatsApp para compartir.
             </p>
           )}
         </div>
 
+        {/* Dose History Modal */}
+        {historyDoseKey && (
+          <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+              <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">
+                Historial: {historyDose ? `${historyDose.med.name}${historyDose.time ? ` ${historyDose.time}` : ''}` : historyDoseKey}
+              </h3>
+              {historyEntries.length === 0 ? (
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">Todavía no hay registros para esta dosis hoy.</p>
+              ) : (
+                <ul className="space-y-2 mb-4">
+                  {historyEntries.map((entry, index) => (
+                    <li key={index} className="p-2 bg-gray-50 dark:bg-gray-700 rounded-md text-sm">
+                      <span className={`font-bold ${entry.given ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+                        {entry.given ? 'Dado' : 'Desmarcado'}
+                      </span>{' '}
+                      por <span className="font-medium">{entry.author}</span> a las {formatTimeOfDay(entry.timestamp)}
+                      {entry.comment && <p className="mt-1 text-gray-600 dark:text-gray-300">"{entry.comment}"</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {canRecord && (
+                <textarea
+                  className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md mb-4 h-20 bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                  placeholder="Comentario opcional (ej. lo tomó con la comida)"
+                  value={historyComment}
+                  onChange={(e) => setHistoryComment(e.target.value)}
+                ></textarea>
+              )}
+              <div className="flex gap-2">
+                {canRecord && (
+                  <button
+                    onClick={handleToggleFromHistory}
+                    className="flex-1 px-4 py-2 bg-indigo-500 hover:bg-indigo-600 text-white rounded-lg shadow-md"
+                  >
+                    {medicationStatus[historyDoseKey] ? 'Desmarcar dosis' : 'Marcar como dada'}
+                  </button>
+                )}
+                <button
+                  onClick={() => {
+                    setHistoryDoseKey(null);
+                    setHistoryComment('');
+                  }}
+                  className="flex-1 px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md"
+                >
+                  Cerrar
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Regimen Changelog Modal */}
+        {showRegimenChangelog && (
+          <RegimenChangelog versions={regimenVersions} onClose={() => setShowRegimenChangelog(false)} />
+        )}
+
         {/* Manage Medications Modal */}
         {showManageMedications && (
           <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50 p-4">
             <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
               <h3 className="text-2xl font-bold mb-4 text-indigo-700 dark:text-indigo-400">Administrar Medicamentos</h3>
 
+              {/* Regimen Change Details */}
+              <div className="mb-6 p-4 bg-indigo-50 dark:bg-gray-700 rounded-lg">
+                <p className="text-sm text-gray-700 dark:text-gray-300 mb-3">
+                  Cada cambio guarda una nueva versión del tratamiento. Los días anteriores a la fecha indicada se siguen mostrando con el tratamiento que regía entonces.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="regimenEffectiveFrom" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Rige desde:</label>
+                    <input
+                      type="date"
+                      id="regimenEffectiveFrom"
+                      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                      value={regimenChange.effectiveFrom}
+                      onChange={(e) => setRegimenChange({ ...regimenChange, effectiveFrom: e.target.value })}
+                    />
+                  </div>
+                  <div className="sm:col-span-2">
+                    <label htmlFor="regimenReason" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Motivo del cambio:</label>
+                    <input
+                      type="text"
+                      id="regimenReason"
+                      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                      value={regimenChange.reason}
+                      onChange={(e) => setRegimenChange({ ...regimenChange, reason: e.target.value })}
+                      placeholder="Ej. Indicación del cardiólogo del 12/10"
+                    />
+                  </div>
+                </div>
+                <button
+                  onClick={() => setShowRegimenChangelog(true)}
+                  className="mt-3 text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+                >
+                  Ver historial de cambios
+                </button>
+              </div>
+
               {/* Add/Edit Medication Form */}
               <div className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
                 <h4 className="text-xl font-semibold mb-3 text-gray-800 dark:text-gray-200">
@@ -580,15 +5962,83 @@ function App() {
                     />
                   </div>
                   <div>
-                    <label htmlFor="medDosage" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Dosis (opcional):</label>
+                    <label htmlFor="medStrength" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Concentración (opcional):</label>
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        id="medStrength"
+                        min="0"
+                        step="any"
+                        className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                        value={newMedication.dose.strength || ''}
+                        onChange={(e) => updateNewMedicationDose({ strength: e.target.value ? Number(e.target.value) : null })}
+                        placeholder="Ej. 5"
+                      />
+                      <select
+                        aria-label="Unidad"
+                        className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                        value={newMedication.dose.unit}
+                        onChange={(e) => updateNewMedicationDose({ unit: e.target.value })}
+                      >
+                        {DOSE_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                      </select>
+                    </div>
+                  </div>
+                  <div>
+                    <label htmlFor="medQuantity" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Cantidad por dosis (descuenta del stock):</label>
+                    <select
+                      id="medQuantity"
+                      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                      value={newMedication.dose.quantity}
+                      onChange={(e) => updateNewMedicationDose({ quantity: Number(e.target.value) })}
+                    >
+                      {[...new Set([...DOSE_QUANTITIES, newMedication.dose.quantity])].sort((a, b) => a - b).map(quantity => (
+                        <option key={quantity} value={quantity}>{formatQuantity(quantity)}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="medRoute" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Vía:</label>
+                    <select
+                      id="medRoute"
+                      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                      value={newMedication.dose.route}
+                      onChange={(e) => updateNewMedicationDose({ route: e.target.value })}
+                    >
+                      {DOSE_ROUTES.map(route => <option key={route.value} value={route.value}>{route.label}</option>)}
+                    </select>
+                  </div>
+                  <div className="sm:col-span-2">
+                    <label htmlFor="medInstructions" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Indicaciones (opcional):</label>
                     <input
                       type="text"
-                      id="medDosage"
+                      id="medInstructions"
                       className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
-                      value={newMedication.dosage}
-                      onChange={(e) => setNewMedication({ ...newMedication, dosage: e.target.value })}
-                      placeholder="Ej. 500mg, 1/2"
+                      value={newMedication.dose.instructions}
+                      onChange={(e) => updateNewMedicationDose({ instructions: e.target.value })}
+                      placeholder="Ej. dejar disolver bajo la lengua, con comida"
                     />
+                    {describeDose(newMedication) && (
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Se mostrará como: {describeDose(newMedication)}</p>
+                    )}
+                  </div>
+                  <div className="sm:col-span-2">
+                    <label htmlFor="medStockItem" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Stock:</label>
+                    <select
+                      id="medStockItem"
+                      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                      value={newMedication.stockItemId === editMedicationId ? '' : newMedication.stockItemId}
+                      onChange={(e) => setNewMedication({ ...newMedication, stockItemId: e.target.value })}
+                    >
+                      <option value="">Caja propia</option>
+                      {getStockItems(medicationDefinitions.filter(med => med.id !== editMedicationId))
+                        .filter(item => item.id !== editMedicationId)
+                        .map(item => (
+                          <option key={item.id} value={item.id}>
+                            Misma caja que {item.name} ({item.medications.map(med => med.time).join(', ')})
+                          </option>
+                        ))}
+                    </select>
                   </div>
                   <div>
                     <label htmlFor="medTime" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Horario:</label>
@@ -599,27 +6049,132 @@ function App() {
                       onChange={(e) => setNewMedication({ ...newMedication, time: e.target.value })}
                     >
                       <option value="">Selecciona un horario</option>
-                      <option value="Ayunas">Ayunas</option>
-                      <option value="Mañana Post desayuno">Mañana Post desayuno</option>
-                      <option value="Antes de Comer 13hs">Antes de Comer (13hs)</option>
-                      <option value="Tarde 18hs">Tarde (18hs)</option>
-                      <option value="Noche">Noche</option>
-                      <option value="Mensual">Mensual</option>
-                      <option value="Según necesidad">Según necesidad</option>
-                      <option value="Otro">Otro</option>
+                      {timeSlots.map(slot => (
+                        <option key={slot.id} value={slot.name}>{slot.name}{slot.time ? ` (${slot.time})` : ''}</option>
+                      ))}
+                      {newMedication.time && !timeSlots.some(slot => slot.name === newMedication.time) && (
+                        <option value={newMedication.time}>{newMedication.time}</option>
+                      )}
                     </select>
+                    {canEditRegimen && (
+                      <button
+                        type="button"
+                        onClick={() => setShowTimeSlotManager(true)}
+                        className="mt-1 text-sm text-indigo-600 dark:text-indigo-400 hover:underline"
+                      >
+                        Editar horarios
+                      </button>
+                    )}
                   </div>
-                  <div>
+                  <div className="sm:col-span-2">
+                    <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">Principio activo (para avisar interacciones):</span>
+                    <div className="flex flex-wrap items-center gap-2">
+                      {newMedication.ingredients.map(id => (
+                        <span key={id} className="flex items-center gap-1 px-2 py-1 bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-200 rounded-md text-sm">
+                          {ACTIVE_INGREDIENTS[id] ? ACTIVE_INGREDIENTS[id].name : id}
+                          <button
+                            type="button"
+                            onClick={() => setNewMedication({ ...newMedication, ingredients: newMedication.ingredients.filter(other => other !== id) })}
+                            className="font-bold hover:text-red-600"
+                            aria-label="Quitar principio activo"
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && setNewMedication({ ...newMedication, ingredients: [...newMedication.ingredients, e.target.value] })}
+                        className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100 text-sm"
+                      >
+                        <option value="">Añadir principio activo...</option>
+                        {Object.keys(ACTIVE_INGREDIENTS)
+                          .filter(id => !newMedication.ingredients.includes(id))
+                          .sort((a, b) => ACTIVE_INGREDIENTS[a].name.localeCompare(ACTIVE_INGREDIENTS[b].name))
+                          .map(id => <option key={id} value={id}>{ACTIVE_INGREDIENTS[id].name}</option>)}
+                      </select>
+                    </div>
+                    {newMedication.ingredients.length === 0 && guessIngredients(newMedication.name).length > 0 && (
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        Reconocido por el nombre: {guessIngredients(newMedication.name).map(id => ACTIVE_INGREDIENTS[id].name).join(', ')}.{' '}
+                        <button
+                          type="button"
+                          onClick={() => setNewMedication({ ...newMedication, ingredients: guessIngredients(newMedication.name) })}
+                          className="text-indigo-600 dark:text-indigo-400 hover:underline"
+                        >
+                          Confirmar
+                        </button>
+                      </p>
+                    )}
+                  </div>
+                  <div className="sm:col-span-2">
+                    <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">Horas exactas (para recordatorios):</span>
+                    <div className="flex flex-wrap items-center gap-2">
+                      {newMedication.times.map((doseTime, index) => (
+                        <div key={index} className="flex items-center gap-1">
+                          <input
+                            type="time"
+                            className="p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                            value={doseTime}
+                            onChange={(e) => setNewMedication({
+                              ...newMedication,
+                              times: newMedication.times.map((t, i) => (i === index ? e.target.value : t)),
+                            })}
+                          />
+                          <button
+                            type="button"
+                            onClick={() => setNewMedication({ ...newMedication, times: newMedication.times.filter((_, i) => i !== index) })}
+                            className="px-2 py-1 bg-red-500 hover:bg-red-600 text-white rounded-md text-sm"
+                          >
+                            Quitar
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => setNewMedication({ ...newMedication, times: [...newMedication.times, ''] })}
+                        className="px-3 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-600 dark:hover:bg-gray-500 text-gray-800 dark:text-gray-100 rounded-md text-sm"
+                      >
+                        Añadir hora
+                      </button>
+                    </div>
+                  </div>
+                  <div className="sm:col-span-2">
                     <label htmlFor="medFrequency" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Frecuencia:</label>
-                    <input
-                      type="text"
-                      id="medFrequency"
-                      className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
-                      value={newMedication.frequency}
-                      onChange={(e) => setNewMedication({ ...newMedication, frequency: e.target.value })}
-                      placeholder="Ej. Diario, Martes/Jueves/Sábados"
+                    <RecurrencePicker
+                      value={newMedication.recurrence}
+                      onChange={(recurrence) => setNewMedication({ ...newMedication, recurrence })}
                     />
                   </div>
+                  {newMedication.recurrence.type === 'asNeeded' && (
+                    <>
+                      <div>
+                        <label htmlFor="medMinInterval" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Horas mínimas entre dosis:</label>
+                        <input
+                          type="number"
+                          id="medMinInterval"
+                          min="0"
+                          step="0.5"
+                          className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                          value={newMedication.minIntervalHours || ''}
+                          onChange={(e) => setNewMedication({ ...newMedication, minIntervalHours: e.target.value ? Number(e.target.value) : null })}
+                          placeholder="Ej. 8"
+                        />
+                      </div>
+                      <div>
+                        <label htmlFor="medMaxDoses" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Máximo de dosis en 24 h:</label>
+                        <input
+                          type="number"
+                          id="medMaxDoses"
+                          min="1"
+                          className="w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md bg-gray-50 dark:bg-gray-600 text-gray-900 dark:text-gray-100"
+                          value={newMedication.maxDosesPer24h || ''}
+                          onChange={(e) => setNewMedication({ ...newMedication, maxDosesPer24h: e.target.value ? Number(e.target.value) : null })}
+                          placeholder="Ej. 3"
+                        />
+                      </div>
+                    </>
+                  )}
                 </div>
                 <button
                   onClick={handleAddEditMedication}
@@ -630,7 +6185,7 @@ function App() {
                 {editMedicationId && (
                   <button
                     onClick={() => {
-                      setNewMedication({ id: '', name: '', dosage: '', time: '', frequency: '' });
+                      setNewMedication(createEmptyMedication());
                       setEditMedicationId(null);
                     }}
                     className="px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition-transform transform hover:scale-105"
@@ -642,14 +6197,21 @@ function App() {
 
               {/* Current Medications List */}
               <h4 className="text-xl font-semibold mb-3 text-gray-800 dark:text-gray-200">Medicamentos Actuales:</h4>
+              {latestRegimen && latestRegimen.effectiveFrom > formatDateForFirestore(new Date()) && (
+                <p className="mb-3 text-sm text-indigo-700 dark:text-indigo-300">
+                  Esta lista incluye cambios que rigen desde el {parseFirestoreDate(latestRegimen.effectiveFrom).toLocaleDateString('es-AR')}.
+                </p>
+              )}
               <ul className="space-y-3">
                 {medicationDefinitions.map((med) => (
                   <li key={med.id} className="flex flex-col sm:flex-row items-start sm:items-center justify-between p-3 bg-gray-50 dark:bg-gray-700 rounded-lg shadow-sm">
                     <div className="flex-1 mb-2 sm:mb-0">
                       <span className="font-bold text-lg">{med.name}</span>{' '}
-                      {med.dosage && <span className="text-gray-600 dark:text-gray-300 text-sm">({med.dosage})</span>}
+                      {describeDose(med) && <span className="text-gray-600 dark:text-gray-300 text-sm">({describeDose(med)})</span>}
                       <br />
-                      <span className="text-gray-500 dark:text-gray-400 text-sm">Horario: {med.time} | Frecuencia: {med.frequency}</span>
+                      <span className="text-gray-500 dark:text-gray-400 text-sm">
+                        Horario: {med.time}{med.times && med.times.length > 0 && ` (${med.times.join(', ')})`} | Frecuencia: {describeRecurrence(med.recurrence)}
+                      </span>
                     </div>
                     <div className="flex space-x-2">
                       <button
@@ -669,8 +6231,25 @@ function App() {
                 ))}
               </ul>
 
+              {/* Daily totals, e.g. for the endocrinologist: one ingredient over all its slots */}
+              {ingredientTotals.length > 0 && (
+                <>
+                  <h4 className="text-xl font-semibold mt-6 mb-3 text-gray-800 dark:text-gray-200">Total diario por principio activo:</h4>
+                  <ul className="space-y-2">
+                    {ingredientTotals.map(entry => (
+                      <li key={entry.id} className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm">
+                        <span className="font-bold">{entry.name}</span>: {describeIngredientTotal(entry)}
+                        {entry.maxDailyMg && entry.totalMg > entry.maxDailyMg && (
+                          <span className="block text-red-600 dark:text-red-400">Supera el máximo habitual de {entry.maxDailyMg} mg.</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
               <button
-                onClick={() => setShowManageMedications(false)}
+                onClick={() => setView(DEFAULT_VIEW)}
                 className="mt-6 w-full px-4 py-2 bg-gray-300 hover:bg-gray-400 text-gray-800 rounded-lg shadow-md transition-transform transform hover:scale-105"
               >
                 Cerrar
@@ -679,6 +6258,42 @@ function App() {
           </div>
         )}
       </div>
+
+      {/* Backup Modal */}
+      {showBackupManager && (
+        <BackupManager
+          canImport={canEditRegimen}
+          patientName={selectedPatient.name}
+          importState={backupImport}
+          onExportJson={() => handleExportBackup('json')}
+          onExportCsv={() => handleExportBackup('csv')}
+          onPickFile={handlePickBackupFile}
+          onSelectImportPatient={handleSelectImportPatient}
+          onApplyImport={handleApplyBackupImport}
+          onCancelImport={() => setBackupImport(null)}
+          onClose={() => {
+            setShowBackupManager(false);
+            setBackupImport(null);
+          }}
+        />
+      )}
+
+      {/* Medical Report Modal, kept outside the card so printing shows only the report */}
+      {showReport && (
+        <MedicalReport
+          range={reportRange}
+          report={medicalReport}
+          onChangeRange={setReportRange}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
+      <SyncIndicator
+        isOnline={isOnline}
+        pendingWrites={pendingWrites}
+        failedWrites={failedWrites}
+        onRetry={retryFailedWrites}
+      />
     </div>
   );
 }
@@ -0,0 +1,145 @@
+// Bundled active-ingredient and interaction data, so the medication form can warn offline.
+// It covers the drugs usual in this kind of regimen, not every drug on the market: a missing
+// warning never means a combination is safe. Review changes with the doctor or pharmacist.
+//
+// ACTIVE_INGREDIENTS: id -> { name, classes, brands, maxDailyMg }
+//   classes    - therapeutic groups used by the interaction rules (aine, ara2, corticoide...)
+//   brands     - trade names (and common misspellings) recognised in a medication's name
+//   maxDailyMg - usual adult maximum per day; the sum over all slots is checked against it
+// INTERACTION_RULES: pairs of ingredient ids or class names, with how serious the combination is
+// INTERACTION_SEVERITIES: labels of those severities, most serious first
+
+export const ACTIVE_INGREDIENTS = {
+  levotiroxina: { name: 'Levotiroxina', classes: ['hormonaTiroidea'], brands: ['t4', 'eutirox', 'levotiroxina'], maxDailyMg: null },
+  levetiracetam: { name: 'Levetiracetam', classes: ['antiepileptico'], brands: ['levecom', 'keppra'], maxDailyMg: 3000 },
+  desloratadina: { name: 'Desloratadina', classes: ['antihistaminico'], brands: ['deslefex', 'aerius'], maxDailyMg: 5 },
+  montelukast: { name: 'Montelukast', classes: [], brands: ['lukast', 'singulair'], maxDailyMg: 10 },
+  hidrocortisona: { name: 'Hidrocortisona', classes: ['corticoide'], brands: ['hidrotisona', 'hidrocortisona'], maxDailyMg: 40 },
+  prednisona: { name: 'Prednisona', classes: ['corticoide'], brands: ['meticorten', 'deltisona'], maxDailyMg: 80 },
+  valsartan: { name: 'Valsartán', classes: ['antihipertensivo', 'ara2'], brands: ['velsarten', 'diovan', 'valsartan'], maxDailyMg: 320 },
+  losartan: { name: 'Losartán', classes: ['antihipertensivo', 'ara2'], brands: ['cozaar', 'losartan'], maxDailyMg: 100 },
+  enalapril: { name: 'Enalapril', classes: ['antihipertensivo', 'ieca'], brands: ['lotrial', 'enalapril'], maxDailyMg: 40 },
+  amlodipino: { name: 'Amlodipino', classes: ['antihipertensivo', 'bloqueanteCalcico'], brands: ['amlodipino', 'amloc', 'norvasc'], maxDailyMg: 10 },
+  hidroclorotiazida: { name: 'Hidroclorotiazida', classes: ['antihipertensivo', 'diuretico'], brands: ['hidroclorotiazida'], maxDailyMg: 50 },
+  furosemida: { name: 'Furosemida', classes: ['antihipertensivo', 'diuretico'], brands: ['lasix', 'furosemida'], maxDailyMg: 600 },
+  espironolactona: { name: 'Espironolactona', classes: ['antihipertensivo', 'diuretico'], brands: ['aldactone', 'espironolactona'], maxDailyMg: 400 },
+  dexlansoprazol: { name: 'Dexlansoprazol', classes: ['ibp'], brands: ['dexilant', 'dexlansoprazol'], maxDailyMg: 60 },
+  omeprazol: { name: 'Omeprazol', classes: ['ibp'], brands: ['omeprazol', 'ulcozol'], maxDailyMg: 40 },
+  cianocobalamina: { name: 'Vitamina B12', classes: [], brands: ['b12', 'cianocobalamina'], maxDailyMg: null },
+  colecalciferol: { name: 'Vitamina D', classes: [], brands: ['vitamina d', 'colecalciferol', 'apolar', 'firesole'], maxDailyMg: null },
+  calcio: { name: 'Calcio', classes: ['suplementoMineral'], brands: ['calcio', 'calcimax'], maxDailyMg: 2500 },
+  hierro: { name: 'Hierro', classes: ['suplementoMineral'], brands: ['hierro', 'ferranin'], maxDailyMg: 200 },
+  naproxeno: { name: 'Naproxeno', classes: ['aine'], brands: ['naproxeno', 'naprux', 'alidase'], maxDailyMg: 1000 },
+  ibuprofeno: { name: 'Ibuprofeno', classes: ['aine'], brands: ['ibuprofeno', 'ibupirac', 'actron', 'ibuevanol'], maxDailyMg: 2400 },
+  diclofenac: { name: 'Diclofenac', classes: ['aine'], brands: ['diclofenac', 'voltaren'], maxDailyMg: 150 },
+  aspirina: { name: 'Ácido acetilsalicílico', classes: ['aine', 'anticoagulante'], brands: ['aspirina', 'aspirineta', 'geniol'], maxDailyMg: 4000 },
+  paracetamol: { name: 'Paracetamol', classes: [], brands: ['paracetamol', 'tafirol', 'termofren'], maxDailyMg: 3000 },
+  clopidogrel: { name: 'Clopidogrel', classes: ['anticoagulante'], brands: ['plavix', 'clopidogrel'], maxDailyMg: 75 },
+  acenocumarol: { name: 'Acenocumarol', classes: ['anticoagulante'], brands: ['sintrom', 'acenocumarol'], maxDailyMg: null },
+  escitalopram: { name: 'Escitalopram', classes: ['isrs'], brands: ['lexapro', 'escitalopram'], maxDailyMg: 20 },
+  sertralina: { name: 'Sertralina', classes: ['isrs'], brands: ['zoloft', 'sertralina'], maxDailyMg: 200 },
+  clonazepam: { name: 'Clonazepam', classes: ['benzodiacepina'], brands: ['rivotril', 'clonazepam'], maxDailyMg: 20 },
+  alprazolam: { name: 'Alprazolam', classes: ['benzodiacepina'], brands: ['alplax', 'alprazolam'], maxDailyMg: 4 },
+  zolpidem: { name: 'Zolpidem', classes: ['benzodiacepina'], brands: ['zolpidem', 'somit'], maxDailyMg: 10 },
+  tramadol: { name: 'Tramadol', classes: ['opioide'], brands: ['tramadol', 'calmador'], maxDailyMg: 400 },
+  loperamida: { name: 'Loperamida', classes: ['antidiarreico'], brands: ['loperamida', 'imodium', 'regulane'], maxDailyMg: 16 },
+};
+
+export const INTERACTION_RULES = [
+  {
+    between: ['aine', 'antihipertensivo'],
+    severity: 'moderada',
+    description: 'Los antiinflamatorios reducen el efecto de los antihipertensivos y pueden subir la presión.',
+  },
+  {
+    between: ['aine', 'ara2'],
+    severity: 'alta',
+    description: 'Con un ARA II, los antiinflamatorios aumentan el riesgo de daño renal y de potasio alto, sobre todo en personas mayores.',
+  },
+  {
+    between: ['aine', 'ieca'],
+    severity: 'alta',
+    description: 'Con un IECA, los antiinflamatorios aumentan el riesgo de daño renal y de potasio alto, sobre todo en personas mayores.',
+  },
+  {
+    between: ['aine', 'corticoide'],
+    severity: 'alta',
+    description: 'Antiinflamatorio y corticoide juntos aumentan el riesgo de úlcera y sangrado digestivo.',
+  },
+  {
+    between: ['aine', 'anticoagulante'],
+    severity: 'alta',
+    description: 'Aumenta el riesgo de sangrado.',
+  },
+  {
+    between: ['aine', 'isrs'],
+    severity: 'moderada',
+    description: 'Aumenta el riesgo de sangrado digestivo.',
+  },
+  {
+    between: ['aine', 'aine'],
+    severity: 'alta',
+    description: 'Dos antiinflamatorios a la vez no suman alivio y multiplican el riesgo de úlcera y daño renal.',
+  },
+  {
+    between: ['ara2', 'ieca'],
+    severity: 'alta',
+    description: 'El doble bloqueo del sistema renina-angiotensina aumenta el riesgo de potasio alto y daño renal.',
+  },
+  {
+    between: ['ara2', 'espironolactona'],
+    severity: 'moderada',
+    description: 'Riesgo de potasio alto: suele requerir análisis de control.',
+  },
+  {
+    between: ['corticoide', 'diuretico'],
+    severity: 'moderada',
+    description: 'Pueden bajar el potasio entre los dos.',
+  },
+  {
+    between: ['anticoagulante', 'isrs'],
+    severity: 'moderada',
+    description: 'Aumenta el riesgo de sangrado.',
+  },
+  {
+    between: ['anticoagulante', 'anticoagulante'],
+    severity: 'alta',
+    description: 'Dos anticoagulantes o antiagregantes juntos aumentan mucho el riesgo de sangrado.',
+  },
+  {
+    between: ['benzodiacepina', 'opioide'],
+    severity: 'alta',
+    description: 'Juntos pueden causar somnolencia intensa y depresión respiratoria.',
+  },
+  {
+    between: ['benzodiacepina', 'benzodiacepina'],
+    severity: 'alta',
+    description: 'Dos sedantes a la vez aumentan el riesgo de caídas y somnolencia excesiva.',
+  },
+  {
+    between: ['isrs', 'tramadol'],
+    severity: 'alta',
+    description: 'Riesgo de síndrome serotoninérgico y de convulsiones.',
+  },
+  {
+    between: ['hormonaTiroidea', 'suplementoMineral'],
+    severity: 'moderada',
+    description: 'Calcio, hierro o magnesio reducen la absorción de la hormona tiroidea: separarlos al menos 4 horas.',
+  },
+  {
+    between: ['hormonaTiroidea', 'ibp'],
+    severity: 'baja',
+    description: 'Los protectores gástricos pueden reducir la absorción de la hormona tiroidea; controlar la TSH.',
+  },
+  {
+    between: ['ibp', 'cianocobalamina'],
+    severity: 'baja',
+    description: 'El uso prolongado de protectores gástricos reduce la absorción de vitamina B12 por vía oral.',
+  },
+];
+
+export const INTERACTION_SEVERITIES = {
+  alta: 'Importante',
+  moderada: 'Moderada',
+  baja: 'Leve',
+};
@@ -0,0 +1,102 @@
+// Firestore backend of the data-access layer. Paths are plain slash-separated strings
+// (e.g. "artifacts/app/public/data/patients/default/dailyRecords/2024-05-01") so App
+// never builds Firestore references itself.
+import { initializeApp } from 'firebase/app';
+import {
+  getAuth, onAuthStateChanged, connectAuthEmulator, GoogleAuthProvider, signInWithPopup,
+  sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink, signOut,
+} from 'firebase/auth';
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator,
+  doc, collection, setDoc, getDoc, getDocs, onSnapshot, query, where,
+  increment, arrayUnion, writeBatch, deleteField, runTransaction,
+} from 'firebase/firestore';
+
+// Firestore rejects batches above 500 writes; keep a margin
+const WRITE_BATCH_SIZE = 400;
+
+const toUser = (user) => (user ? { uid: user.uid, displayName: user.displayName || '', email: user.email } : null);
+
+export const createFirestoreStorage = ({ firebaseConfig, useEmulators }) => {
+  const app = initializeApp(firebaseConfig);
+  // Keep a copy of the data in IndexedDB so the calendar opens and records doses without Wi-Fi;
+  // writes made offline are queued by Firestore and sent when the connection comes back
+  const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+  });
+  const auth = getAuth(app);
+
+  // Point Auth and Firestore at the local emulators when the page is started for testing
+  if (useEmulators) {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  }
+
+  const buildQuery = (path, filters = []) => (filters.length > 0
+    ? query(collection(db, path), ...filters.map(([field, op, value]) => where(field, op, value)))
+    : collection(db, path));
+
+  const toDocs = (querySnap) => querySnap.docs.map(docSnap => ({ id: docSnap.id, data: docSnap.data() }));
+
+  return {
+    kind: 'firestore',
+    hasAccounts: true,
+
+    onAuthStateChanged: (callback, onError) => onAuthStateChanged(auth, user => callback(toUser(user)), onError),
+    signOut: () => signOut(auth),
+    signInWithGoogle: () => signInWithPopup(auth, new GoogleAuthProvider()),
+    sendSignInLink: (email, returnUrl) => sendSignInLinkToEmail(auth, email, { url: returnUrl, handleCodeInApp: true }),
+    isSignInLink: (url) => isSignInWithEmailLink(auth, url),
+    completeSignInLink: (email, url) => signInWithEmailLink(auth, email, url),
+
+    getDoc: async (path) => {
+      const docSnap = await getDoc(doc(db, path));
+      return docSnap.exists() ? docSnap.data() : null;
+    },
+    getCollection: async (path, filters) => toDocs(await getDocs(buildQuery(path, filters))),
+    subscribeDoc: (path, onData, onError) => onSnapshot(
+      doc(db, path),
+      docSnap => onData(docSnap.exists() ? docSnap.data() : null),
+      onError
+    ),
+    subscribeCollection: (path, filters, onDocs, onError) => onSnapshot(
+      buildQuery(path, filters),
+      querySnap => onDocs(toDocs(querySnap)),
+      onError
+    ),
+
+    setDoc: (path, data, options = {}) => setDoc(doc(db, path), data, options),
+    // Apply [path, data, options] writes atomically per batch of WRITE_BATCH_SIZE. All batches are
+    // queued at once so they reach the local cache offline; the promise settles once the server has them all
+    commitWrites: (writes) => {
+      const commits = [];
+      for (let start = 0; start < writes.length; start += WRITE_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes.slice(start, start + WRITE_BATCH_SIZE).forEach(([path, data, options]) => batch.set(doc(db, path), data, options || {}));
+        commits.push(batch.commit());
+      }
+      return Promise.all(commits);
+    },
+    // Re-read a document and merge the fields returned by update(data); returning null skips the write
+    updateInTransaction: (path, update) => runTransaction(db, async (transaction) => {
+      const docRef = doc(db, path);
+      const docSnap = await transaction.get(docRef);
+      const fields = update(docSnap.exists() ? docSnap.data() : null);
+      if (fields) transaction.set(docRef, fields, { merge: true });
+    }),
+    // The same over several documents: update(datas) returns the fields to merge into each, or null to skip it
+    updateDocsInTransaction: (paths, update) => runTransaction(db, async (transaction) => {
+      const docRefs = paths.map(path => doc(db, path));
+      const docSnaps = await Promise.all(docRefs.map(docRef => transaction.get(docRef)));
+      const fieldsList = update(docSnaps.map(docSnap => (docSnap.exists() ? docSnap.data() : null)));
+      docRefs.forEach((docRef, index) => {
+        if (fieldsList[index]) transaction.set(docRef, fieldsList[index], { merge: true });
+      });
+    }),
+    newId: (collectionPath) => doc(collection(db, collectionPath)).id,
+
+    deleteField,
+    increment,
+    arrayUnion,
+  };
+};
@@ -0,0 +1,28 @@
+// Data-access layer used by App. Both backends expose the same methods:
+//   auth:   onAuthStateChanged, signOut (plus sign-in methods when hasAccounts is true)
+//   reads:  getDoc, getCollection, subscribeDoc, subscribeCollection
+//   writes: setDoc, commitWrites, updateInTransaction, updateDocsInTransaction, newId
+//   values: deleteField, increment, arrayUnion (for use inside written data)
+// The backend is a per-device setting; without a Firebase configuration only the local one is available.
+import { createFirestoreStorage } from './firestore';
+import { createLocalStorage } from './local';
+
+export const STORAGE_BACKEND_KEY = 'medication_calendar_storage_backend';
+
+export const STORAGE_BACKENDS = {
+  firestore: { label: 'Firebase (compartido con la familia)' },
+  local: { label: 'Solo este dispositivo' },
+};
+
+export const createStorage = ({ firebaseConfig, useEmulators }) => {
+  const hasFirebase = !!firebaseConfig.projectId || useEmulators;
+  const preferred = localStorage.getItem(STORAGE_BACKEND_KEY);
+  const kind = hasFirebase && preferred !== 'local' ? 'firestore' : 'local';
+  const storage = kind === 'firestore' ? createFirestoreStorage({ firebaseConfig, useEmulators }) : createLocalStorage();
+  return { ...storage, availableBackends: hasFirebase ? ['firestore', 'local'] : ['local'] };
+};
+
+// Remember the chosen backend; it takes effect on the next page load
+export const setStorageBackend = (kind) => {
+  localStorage.setItem(STORAGE_BACKEND_KEY, kind);
+};
@@ -0,0 +1,162 @@
+// Local backend of the data-access layer: every document is a JSON entry in localStorage,
+// for using the app on a single device without a Firebase project (and for running it
+// without network in tests). It mirrors the subset of Firestore semantics App relies on.
+
+const KEY_PREFIX = 'medication_calendar_local:';
+const LOCAL_USER = { uid: 'local-device', displayName: '', email: null };
+
+// Special values understood by setDoc, like Firestore's deleteField(), increment() and arrayUnion()
+class FieldOperation {
+  constructor(type, value) {
+    this.type = type;
+    this.value = value;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof FieldOperation);
+
+// Helper function to apply one written value over the stored one, following Firestore's set semantics
+const applyValue = (current, next, merge) => {
+  if (next instanceof FieldOperation) {
+    switch (next.type) {
+      case 'increment':
+        return (typeof current === 'number' ? current : 0) + next.value;
+      case 'arrayUnion': {
+        const existing = Array.isArray(current) ? current : [];
+        const added = next.value.filter(item => !existing.some(other => JSON.stringify(other) === JSON.stringify(item)));
+        return [...existing, ...added];
+      }
+      default:
+        return undefined;
+    }
+  }
+  if (isPlainObject(next)) {
+    const base = merge && isPlainObject(current) ? { ...current } : {};
+    Object.entries(next).forEach(([key, value]) => {
+      const applied = applyValue(base[key], value, merge);
+      if (applied === undefined) {
+        delete base[key];
+      } else {
+        base[key] = applied;
+      }
+    });
+    return base;
+  }
+  return next;
+};
+
+const FILTERS = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+const getParentPath = (path) => path.slice(0, path.lastIndexOf('/'));
+
+export const createLocalStorage = () => {
+  const docListeners = new Map(); // path -> Set of callbacks
+  const collectionListeners = new Map(); // collection path -> Set of callbacks
+
+  const readDoc = (path) => {
+    const stored = localStorage.getItem(`${KEY_PREFIX}${path}`);
+    return stored ? JSON.parse(stored) : null;
+  };
+
+  const readCollection = (path, filters = []) => {
+    const prefix = `${KEY_PREFIX}${path}/`;
+    const docs = [];
+    for (let index = 0; index < localStorage.length; index++) {
+      const key = localStorage.key(index);
+      if (key.startsWith(prefix) && !key.slice(prefix.length).includes('/')) {
+        docs.push({ id: key.slice(prefix.length), data: JSON.parse(localStorage.getItem(key)) });
+      }
+    }
+    return docs
+      .filter(({ data }) => filters.every(([field, op, value]) => FILTERS[op](data[field], value)))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  };
+
+  // Tell every subscriber of a document, and of its collection, that it changed
+  const notify = (path) => {
+    (docListeners.get(path) || new Set()).forEach(callback => callback());
+    (collectionListeners.get(getParentPath(path)) || new Set()).forEach(callback => callback());
+  };
+
+  const writeDoc = (path, data, options = {}) => {
+    const next = applyValue(readDoc(path), data, !!options.merge);
+    localStorage.setItem(`${KEY_PREFIX}${path}`, JSON.stringify(next));
+  };
+
+  const listen = (listeners, path, callback) => {
+    if (!listeners.has(path)) listeners.set(path, new Set());
+    listeners.get(path).add(callback);
+    setTimeout(callback, 0); // First value arrives asynchronously, like a snapshot listener
+    return () => listeners.get(path).delete(callback);
+  };
+
+  // Other tabs of the same browser write to the same localStorage
+  window.addEventListener('storage', (event) => {
+    if (event.key && event.key.startsWith(KEY_PREFIX)) notify(event.key.slice(KEY_PREFIX.length));
+  });
+
+  return {
+    kind: 'local',
+    hasAccounts: false,
+
+    // There is a single user per device; the profile flow still asks for the name shown next to records
+    onAuthStateChanged: (callback) => {
+      setTimeout(() => callback(LOCAL_USER), 0);
+      return () => {};
+    },
+    signOut: async () => {},
+
+    getDoc: async (path) => readDoc(path),
+    getCollection: async (path, filters) => readCollection(path, filters),
+    subscribeDoc: (path, onData, onError) => listen(docListeners, path, () => {
+      try {
+        onData(readDoc(path));
+      } catch (error) {
+        if (onError) onError(error);
+      }
+    }),
+    subscribeCollection: (path, filters, onDocs, onError) => listen(collectionListeners, path, () => {
+      try {
+        onDocs(readCollection(path, filters));
+      } catch (error) {
+        if (onError) onError(error);
+      }
+    }),
+
+    setDoc: async (path, data, options) => {
+      writeDoc(path, data, options);
+      notify(path);
+    },
+    commitWrites: async (writes) => {
+      writes.forEach(([path, data, options]) => writeDoc(path, data, options));
+      writes.forEach(([path]) => notify(path));
+    },
+    updateInTransaction: async (path, update) => {
+      const fields = update(readDoc(path));
+      if (fields) {
+        writeDoc(path, fields, { merge: true });
+        notify(path);
+      }
+    },
+    updateDocsInTransaction: async (paths, update) => {
+      const fieldsList = update(paths.map(path => readDoc(path)));
+      paths.forEach((path, index) => {
+        if (fieldsList[index]) writeDoc(path, fieldsList[index], { merge: true });
+      });
+      paths.forEach((path, index) => {
+        if (fieldsList[index]) notify(path);
+      });
+    },
+    newId: () => `${Date.now()}${Math.random().toString(36).slice(2, 8)}`,
+
+    deleteField: () => new FieldOperation('delete'),
+    increment: (amount) => new FieldOperation('increment', amount),
+    arrayUnion: (...items) => new FieldOperation('arrayUnion', items),
+  };
+};
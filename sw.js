@@ -0,0 +1,64 @@
+// Service worker for the medication calendar.
+// Reminders are scheduled by the page and shown through this worker so they
+// still appear while the tab is in the background. It also keeps a copy of
+// the app itself so it opens without a connection; the data comes from
+// Firestore's own offline cache.
+
+const CACHE_NAME = 'medication-calendar-v1';
+const APP_SHELL = ['./', 'index.html', 'App.js', 'manifest.webmanifest', 'icon.svg'];
+
+// Firestore and Auth traffic handles its own offline mode and must never be served from the cache
+const isFirebaseRequest = (url) => url.hostname.endsWith('googleapis.com') || url.hostname.endsWith('firebaseapp.com');
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      // A missing file must not keep the worker from installing
+      .then(cache => Promise.all(APP_SHELL.map(url => cache.add(url).catch(() => undefined))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so updates arrive while online, falling back to the cached copy when offline
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || isFirebaseRequest(url)) return;
+
+  event.respondWith(
+    fetch(event.request)
+      .then((response) => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(event.request, { ignoreSearch: event.request.mode === 'navigate' }))
+  );
+});
+
+// Open the calendar on the reminder's patient when a reminder is tapped, reusing an open window
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || self.registration.scope;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      const existingClient = clientList.find(client => 'focus' in client);
+      if (existingClient) {
+        // A window this worker doesn't control can't be navigated; it is at least brought forward
+        return existingClient.navigate(url)
+          .then(client => (client || existingClient).focus())
+          .catch(() => existingClient.focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,186 @@
+// Checks firestore.rules against the Firestore emulator for every role.
+// Run with `npm run test:rules`, which starts the emulator around `node --test`.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteField, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+const APP_ID = 'test-app';
+const DATA_PATH = `artifacts/${APP_ID}/public/data`;
+const PATIENT_PATH = `${DATA_PATH}/patients/default`;
+
+const PROFILES = {
+  admin: { displayName: 'Ana', role: 'admin' },
+  caregiver: { displayName: 'Beto', role: 'caregiver' },
+  viewer: { displayName: 'Dra. López', role: 'viewer' },
+};
+
+let testEnv;
+
+// Firestore as seen by a signed-in user, or by nobody when uid is null
+const firestoreAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  for (const [path, data] of writes) {
+    await setDoc(doc(db, path), data);
+  }
+});
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-medication-calendar',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+describe('with caregivers set up', () => {
+  beforeEach(async () => {
+    await seed([
+      ...Object.entries(PROFILES).map(([uid, profile]) => [`${DATA_PATH}/caregivers/${uid}`, profile]),
+      [`${DATA_PATH}/config/adminLock`, { uid: 'admin' }],
+      [PATIENT_PATH, { name: 'Mamá' }],
+      [`${PATIENT_PATH}/regimenVersions/2000-01-01_1`, { effectiveFrom: '2000-01-01', medications: [] }],
+      [`${PATIENT_PATH}/dailyRecords/2026-10-19`, { date: '2026-10-19' }],
+    ]);
+  });
+
+  describe('admin', () => {
+    test('edits the patient, the regimen and the settings', async () => {
+      const db = firestoreAs('admin');
+      await assertSucceeds(setDoc(doc(db, PATIENT_PATH), { name: 'Mamá', allergies: [] }));
+      await assertSucceeds(setDoc(doc(db, `${PATIENT_PATH}/regimenVersions/2026-10-19_2`), { effectiveFrom: '2026-10-19', medications: [] }));
+      await assertSucceeds(setDoc(doc(db, `${PATIENT_PATH}/settings/digest`), { hour: 20 }));
+    });
+
+    test('may rewrite a regimen version only with identical data', async () => {
+      const db = firestoreAs('admin');
+      const versionRef = doc(db, `${PATIENT_PATH}/regimenVersions/2000-01-01_1`);
+      await assertSucceeds(setDoc(versionRef, { effectiveFrom: '2000-01-01', medications: [] }));
+      await assertFails(setDoc(versionRef, { effectiveFrom: '2000-01-01', medications: [{ id: 'x' }] }));
+    });
+
+    test('changes the role of other caregivers', async () => {
+      const db = firestoreAs('admin');
+      await assertSucceeds(updateDoc(doc(db, `${DATA_PATH}/caregivers/viewer`), { role: 'caregiver' }));
+    });
+  });
+
+  describe('caregiver', () => {
+    test('records daily entries, stock and care instructions', async () => {
+      const db = firestoreAs('caregiver');
+      await assertSucceeds(setDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-19`), { noteItems: { 1: { text: 'ok', authorUid: 'caregiver' } } }, { merge: true }));
+      await assertSucceeds(setDoc(doc(db, `${PATIENT_PATH}/inventory/stock`), { stock: { t4: 30 } }, { merge: true }));
+      await assertSucceeds(setDoc(doc(db, `${PATIENT_PATH}/careInstructions/current`), { contacts: {} }, { merge: true }));
+    });
+
+    test('cannot edit the patient, the regimen or the settings', async () => {
+      const db = firestoreAs('caregiver');
+      await assertFails(setDoc(doc(db, PATIENT_PATH), { name: 'Otra' }));
+      await assertFails(setDoc(doc(db, `${PATIENT_PATH}/regimenVersions/2026-10-19_2`), { effectiveFrom: '2026-10-19', medications: [] }));
+      await assertFails(setDoc(doc(db, `${PATIENT_PATH}/settings/digest`), { hour: 20 }));
+    });
+
+    // Entries live in maps the rules cannot walk, so authorship is only checked by the app
+    test('is not stopped by the rules from forging or editing entries of others (known limitation)', async () => {
+      await seed([[`${PATIENT_PATH}/dailyRecords/2026-10-18`, { noteItems: { 1: { text: 'de Ana', authorUid: 'admin' } } }]]);
+      const db = firestoreAs('caregiver');
+      await assertSucceeds(setDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-19`), { noteItems: { 2: { text: 'falsa', authorUid: 'admin' } } }, { merge: true }));
+      await assertSucceeds(setDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-18`), { noteItems: { 1: { text: 'cambiada', authorUid: 'admin' } } }, { merge: true }));
+      await assertSucceeds(updateDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-18`), { noteItems: deleteField() }));
+    });
+
+    test('renames itself but cannot change its own role', async () => {
+      const db = firestoreAs('caregiver');
+      const profileRef = doc(db, `${DATA_PATH}/caregivers/caregiver`);
+      await assertSucceeds(updateDoc(profileRef, { displayName: 'Roberto' }));
+      await assertFails(updateDoc(profileRef, { role: 'admin' }));
+    });
+  });
+
+  describe('viewer', () => {
+    test('reads everything but writes nothing', async () => {
+      const db = firestoreAs('viewer');
+      await assertSucceeds(getDoc(doc(db, PATIENT_PATH)));
+      await assertSucceeds(getDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-19`)));
+      await assertSucceeds(getDoc(doc(db, `${DATA_PATH}/caregivers/admin`)));
+      await assertFails(setDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-19`), { doseStatus: { t4: true } }, { merge: true }));
+      await assertFails(setDoc(doc(db, `${PATIENT_PATH}/inventory/stock`), { stock: { t4: 30 } }, { merge: true }));
+      await assertFails(setDoc(doc(db, `${PATIENT_PATH}/careInstructions/current`), { contacts: {} }, { merge: true }));
+    });
+
+    test('cannot write an entry even under its own uid', async () => {
+      const db = firestoreAs('viewer');
+      await assertFails(setDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-19`), { noteItems: { 1: { text: 'hola', authorUid: 'viewer' } } }, { merge: true }));
+    });
+
+    test('cannot promote itself', async () => {
+      const db = firestoreAs('viewer');
+      await assertFails(updateDoc(doc(db, `${DATA_PATH}/caregivers/viewer`), { role: 'caregiver' }));
+    });
+  });
+
+  describe('signed-in user without a profile', () => {
+    test('reads only its own profile and no patient data', async () => {
+      const db = firestoreAs('stranger');
+      await assertSucceeds(getDoc(doc(db, `${DATA_PATH}/caregivers/stranger`)));
+      await assertFails(getDoc(doc(db, `${DATA_PATH}/caregivers/admin`)));
+      await assertFails(getDoc(doc(db, PATIENT_PATH)));
+      await assertFails(getDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-19`)));
+    });
+
+    test('joins as a viewer but not with a higher role', async () => {
+      const db = firestoreAs('stranger');
+      const profileRef = doc(db, `${DATA_PATH}/caregivers/stranger`);
+      await assertFails(setDoc(profileRef, { displayName: 'Carla', role: 'caregiver' }));
+      await assertFails(setDoc(profileRef, { displayName: 'Carla', role: 'admin' }));
+      await assertSucceeds(setDoc(profileRef, { displayName: 'Carla', role: 'viewer' }));
+    });
+  });
+
+  test('signed-out visitors read nothing', async () => {
+    const db = firestoreAs(null);
+    await assertFails(getDoc(doc(db, PATIENT_PATH)));
+    await assertFails(getDoc(doc(db, `${DATA_PATH}/caregivers/admin`)));
+    await assertFails(setDoc(doc(db, `${PATIENT_PATH}/dailyRecords/2026-10-19`), { noteItems: { 1: { text: 'x', authorUid: 'caregiver' } } }, { merge: true }));
+  });
+});
+
+describe('first admin bootstrap', () => {
+  const claimAdmin = (uid) => {
+    const db = firestoreAs(uid);
+    const batch = writeBatch(db);
+    batch.set(doc(db, `${DATA_PATH}/caregivers/${uid}`), { displayName: uid, role: 'admin' });
+    batch.set(doc(db, `${DATA_PATH}/config/adminLock`), { uid });
+    return batch.commit();
+  };
+
+  test('the first user claims admin together with the lock', async () => {
+    await assertSucceeds(claimAdmin('first'));
+  });
+
+  test('a second user cannot claim admin once the lock exists', async () => {
+    await assertSucceeds(claimAdmin('first'));
+    await assertFails(claimAdmin('second'));
+    await assertFails(setDoc(doc(firestoreAs('second'), `${DATA_PATH}/caregivers/second`), { displayName: 'second', role: 'admin' }));
+  });
+
+  test('admin cannot be claimed without the lock', async () => {
+    const db = firestoreAs('first');
+    await assertFails(setDoc(doc(db, `${DATA_PATH}/caregivers/first`), { displayName: 'first', role: 'admin' }));
+  });
+
+  test('the lock cannot name someone else or be taken without an admin profile', async () => {
+    const db = firestoreAs('first');
+    await assertFails(setDoc(doc(db, `${DATA_PATH}/config/adminLock`), { uid: 'other' }));
+    await assertFails(setDoc(doc(db, `${DATA_PATH}/config/adminLock`), { uid: 'first' }));
+  });
+});